@@ -1,29 +1,22 @@
-﻿/**
- * Sends a log document to the logs service asynchronously.
- * This function fails silently if the logs service is unavailable.
- * @param {Object} doc - The log document to send
- */
-function pushLog(doc) {
-  try {
-    if (!process.env.LOGS_SERVICE_URL) return;
-    fetch(process.env.LOGS_SERVICE_URL + '/api/logs', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(doc)
-    }).catch(()=>{});
-  } catch(e){}
-}
-
-// Load environment variables from .env file
+﻿// Load environment variables from .env file
 require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const pinoHttp = require('pino-http');
+const pkg = require('./package.json');
+const auth = require('../shared/auth');
+const requestContext = require('../shared/request-context');
+const health = require('../shared/health');
+const metrics = require('../shared/metrics');
+const logging = require('../shared/logging');
+const status = require('./status');
 
 // Import Log model for saving logs to database
 const Log = require('./models/log.model');
 
 const app = express();
+// Request logs are saved locally and sent to logs-service
+const logger = logging.createLogger({ model: Log, remote: true });
 
 // Connect to MongoDB database
 mongoose.connect(process.env.MONGO_URI)
@@ -36,29 +29,12 @@ mongoose.connect(process.env.MONGO_URI)
 
 // Middleware: Parse JSON request bodies
 app.use(express.json());
-// Middleware: HTTP request logging using pino
-app.use(pinoHttp());
-// Middleware: Track request timing and save logs to database
-app.use((req, res, next) => {
-  const start = Date.now();
-  res.on('finish', () => {
-    const logDoc = {
-      ts: new Date(),
-      service: process.env.SERVICE_NAME,
-      type: 'request',
-      method: req.method,
-      path: req.path,
-      statusCode: res.statusCode,
-      responseTimeMs: Date.now() - start,
-      message: 'request completed'
-    };
-    // Save log to local MongoDB database
-    new Log(logDoc).save().catch(() => {});
-    // Also send to centralized logs service
-    pushLog(logDoc);
-  });
-  next();
-});
+// Middleware: Accept or generate the X-Request-Id (see shared/request-context.js)
+app.use(requestContext.middleware);
+// Middleware: HTTP request logging using pino (logged with the request id)
+app.use(pinoHttp({ genReqId: requestContext.genReqId }));
+// Middleware: Track request timing and save logs to database and logs service
+app.use(logger.middleware);
 
 /**
  * Helper function to send standardized error responses.
@@ -73,11 +49,14 @@ function sendError(res, id, message, statusCode) {
 
 /**
  * Health check endpoint.
- * Returns the service name and status to verify the service is running.
+ * Returns the service name, status, version and MongoDB connection state (see shared/health.js).
  */
-app.get('/health', function (req, res) {
-  res.json({ service: process.env.SERVICE_NAME, status: 'ok' });
-});
+app.get('/health', health.handler(mongoose.connection, pkg.version));
+
+/**
+ * Metrics endpoint (Prometheus text format, see shared/metrics.js).
+ */
+app.get('/metrics', metrics.handler(mongoose.connection));
 
 /*
   GET /api/about
@@ -96,6 +75,20 @@ app.get('/api/about', function (req, res) {
   }
 });
 
+/*
+  GET /api/admin/status
+  Status of the whole system (admins only): health, latency, version and MongoDB state of
+  users, costs and logs services, counts of users, groups, costs and cached reports,
+  and the error rate of every service over the last STATUS_WINDOW_MS (default 1 hour).
+*/
+app.get('/api/admin/status', auth.authenticate(), auth.requireRole('admin'), async function (req, res) {
+  try {
+    res.json(await status.getStatus());
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
 module.exports = app;
 
 
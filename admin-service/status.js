@@ -0,0 +1,119 @@
+/**
+ * System status of GET /api/admin/status, collected from the other services.
+ * - health: GET /health of users, costs and logs services, with the latency of the call
+ * - counts: GET /api/stats of users-service and costs-service
+ * - errorRates: hourly rollups of logs-service (GET /api/logs/rollups) over STATUS_WINDOW_MS
+ * Service URLs come from USERS_SERVICE_URL, COSTS_SERVICE_URL and LOGS_SERVICE_URL.
+ * A service that does not answer is reported, it does not fail the whole status.
+ */
+const serviceClient = require('../shared/service-client');
+const health = require('../shared/health');
+
+// Services whose /health is checked, with the variable holding their URL
+const SERVICES = [
+  { name: 'users-service', env: 'USERS_SERVICE_URL' },
+  { name: 'costs-service', env: 'COSTS_SERVICE_URL' },
+  { name: 'logs-service', env: 'LOGS_SERVICE_URL' }
+];
+
+// Default window of the error rates: the last hour
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * GET a JSON answer from another service.
+ * @param {string} baseUrl - Base URL of the service
+ * @param {string} path - Path including the query string
+ * @returns {Promise<*>} Body of the answer
+ * @throws {Error} If the service cannot be reached or does not answer 200
+ */
+async function getJson(baseUrl, path) {
+  const res = await serviceClient.request(baseUrl, 'GET', path);
+  if (res.status !== 200) {
+    throw new Error('GET ' + path + ' answered ' + res.status + ': ' + ((res.body && res.body.message) || 'Unknown error'));
+  }
+  return res.body;
+}
+
+/**
+ * Number of users, groups, costs and cached reports (null when a service does not answer).
+ * @returns {Promise<Object>} { users, groups, costs, reports }
+ */
+async function getCounts() {
+  const results = await Promise.allSettled([
+    getJson(process.env.USERS_SERVICE_URL, '/api/stats'),
+    getJson(process.env.COSTS_SERVICE_URL, '/api/stats')
+  ]);
+  const users = results[0].status === 'fulfilled' ? results[0].value : {};
+  const costs = results[1].status === 'fulfilled' ? results[1].value : {};
+
+  return {
+    users: users.users === undefined ? null : users.users,
+    groups: users.groups === undefined ? null : users.groups,
+    costs: costs.costs === undefined ? null : costs.costs,
+    reports: costs.reports === undefined ? null : costs.reports
+  };
+}
+
+/**
+ * Request and error counts per service over a recent window, from the logs-service rollups.
+ * Rollups cover whole hours: from the start of the hour the window begins in up to now. The hours
+ * not rolled up yet (including the current one) are computed by logs-service from the raw logs.
+ * @param {number} windowMs - Length of the window in milliseconds
+ * @returns {Promise<Object>} { from, to, services: [{ service, requests, errors, errorRate }] }
+ */
+async function getErrorRates(windowMs) {
+  const to = new Date();
+  const from = new Date(to.getTime() - windowMs);
+  const rollups = await getJson(process.env.LOGS_SERVICE_URL,
+    '/api/logs/rollups?from=' + encodeURIComponent(from.toISOString()) + '&to=' + encodeURIComponent(to.toISOString()));
+
+  const byService = {};
+  rollups.forEach(function (r) {
+    const entry = byService[r.service] || (byService[r.service] = { service: r.service, requests: 0, errors: 0 });
+    entry.requests += r.count;
+    entry.errors += r.errorCount;
+  });
+
+  const services = Object.keys(byService).sort().map(function (name) {
+    const entry = byService[name];
+    entry.errorRate = entry.requests > 0 ? Math.round(entry.errors / entry.requests * 10000) / 10000 : 0;
+    return entry;
+  });
+  return { from: from, to: to, services: services };
+}
+
+/**
+ * Collect the status of the whole system.
+ * status is 'ok' when every service is healthy and connected to MongoDB, otherwise 'degraded'.
+ * @returns {Promise<Object>} { status, checkedAt, services, counts, errorRates }
+ */
+async function getStatus() {
+  const windowMs = Number(process.env.STATUS_WINDOW_MS) || DEFAULT_WINDOW_MS;
+  const results = await Promise.all([
+    Promise.all(SERVICES.map(function (service) {
+      return health.check(service.name, process.env[service.env]);
+    })),
+    getCounts(),
+    getErrorRates(windowMs).catch(function (err) {
+      return { error: err.message };
+    })
+  ]);
+  const services = results[0];
+
+  const healthy = services.every(function (s) {
+    return s.status === 'ok' && s.mongo === 'connected';
+  });
+
+  return {
+    status: healthy ? 'ok' : 'degraded',
+    checkedAt: new Date(),
+    services: services,
+    counts: results[1],
+    errorRates: results[2]
+  };
+}
+
+module.exports = {
+  getStatus: getStatus,
+  getErrorRates: getErrorRates
+};
@@ -1,13 +1,51 @@
-﻿const request = require('supertest');
+﻿// Sign test tokens with a known secret and point at fake services (set before the app loads .env)
+process.env.JWT_SECRET = 'test-secret';
+process.env.USERS_SERVICE_URL = 'http://users-service.test';
+process.env.COSTS_SERVICE_URL = 'http://costs-service.test';
+process.env.LOGS_SERVICE_URL = 'http://logs-service.test';
+
+const request = require('supertest');
 const mongoose = require('mongoose');
+const auth = require('../../shared/auth');
 const app = require('../app');
 
+// Authorization headers of an admin and of a regular user
+const adminAuth = 'Bearer ' + auth.sign({ sub: 1, role: 'admin' });
+const userAuth = 'Bearer ' + auth.sign({ sub: 5, role: 'user' });
+
+/**
+ * Fake answers of the other services (logs-service is down).
+ * @param {string} url - Requested URL
+ * @returns {Promise<Response>} Fake response
+ */
+async function mockFetch(url) {
+  const parsed = new URL(url);
+  if (parsed.origin === process.env.LOGS_SERVICE_URL) {
+    throw new TypeError('fetch failed');
+  }
+  if (parsed.pathname === '/health') {
+    return new Response(JSON.stringify({ service: parsed.hostname, status: 'ok', version: '1.0.0', mongo: 'connected' }), { status: 200 });
+  }
+  if (parsed.origin === process.env.USERS_SERVICE_URL && parsed.pathname === '/api/stats') {
+    return new Response(JSON.stringify({ users: 3, groups: 1 }), { status: 200 });
+  }
+  if (parsed.origin === process.env.COSTS_SERVICE_URL && parsed.pathname === '/api/stats') {
+    return new Response(JSON.stringify({ costs: 42, reports: 7 }), { status: 200 });
+  }
+  return new Response(JSON.stringify({ id: 404, message: 'Not found' }), { status: 404 });
+}
+
 /**
  * Test suite for admin-service endpoints.
  */
 describe('admin-service', () => {
+  beforeAll(() => {
+    jest.spyOn(global, 'fetch').mockImplementation(mockFetch);
+  });
+
   // Clean up: Close MongoDB connection after all tests complete
   afterAll(async () => {
+    jest.restoreAllMocks();
     await mongoose.connection.close();
   });
 
@@ -49,4 +87,38 @@ describe('admin-service', () => {
     expect(res.statusCode).toBe(200);
     expect(res.body.length).toBeGreaterThan(0);
   });
+
+  // Test: Health check reports the version and MongoDB state
+  test('GET /health returns version and mongo state', async () => {
+    const res = await request(app).get('/health');
+    expect(res.body).toHaveProperty('version');
+    expect(res.body).toHaveProperty('mongo');
+  });
+
+  // Test: Only admins may read the system status
+  test('GET /api/admin/status as regular user returns 403', async () => {
+    const res = await request(app).get('/api/admin/status').set('Authorization', userAuth);
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: The status lists every service and reports the ones that are down
+  test('GET /api/admin/status reports services, counts and failures', async () => {
+    const res = await request(app).get('/api/admin/status').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('degraded');
+    expect(res.body.services.map((s) => s.service)).toEqual(['users-service', 'costs-service', 'logs-service']);
+    expect(res.body.services[0]).toMatchObject({ status: 'ok', version: '1.0.0', mongo: 'connected' });
+    expect(typeof res.body.services[0].latencyMs).toBe('number');
+    expect(res.body.services[2]).toMatchObject({ status: 'down', latencyMs: null });
+    expect(res.body.counts).toEqual({ users: 3, groups: 1, costs: 42, reports: 7 });
+    expect(res.body.errorRates).toHaveProperty('error');
+  });
+
+  // Test: Metrics are in the Prometheus text format
+  test('GET /metrics returns Prometheus metrics', async () => {
+    await request(app).get('/api/about');
+    const res = await request(app).get('/metrics');
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toMatch(/^http_requests_total\{method="GET",route="\/api\/about",status="200"\} \d+$/m);
+  });
 });
@@ -0,0 +1,213 @@
+﻿/**
+ * Spending analytics of GET /api/analytics.
+ * One aggregation sums a user's costs per period, category, currency and date; the route
+ * converts those sums to the requested currency (rates depend on the date) and summarize()
+ * turns them into category shares, month-over-month and year-over-year deltas, the average
+ * daily spend and the top expenses.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Move a date by whole calendar months, keeping the day when the month has it
+ * (otherwise the last day of the month, e.g. March 31 - 1 month = February 28).
+ * @param {Date} date - Local midnight
+ * @param {number} months - Months to add (negative to go back)
+ * @returns {Date} Shifted date at local midnight
+ */
+function shiftMonths(date, months) {
+  const first = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  return new Date(first.getFullYear(), first.getMonth(), Math.min(date.getDate(), lastDay));
+}
+
+/**
+ * The analysed period and the periods it is compared with.
+ * @param {Date} start - Start of the period (inclusive)
+ * @param {Date} end - End of the period (exclusive)
+ * @returns {Array} [{ key: current|previousMonth|previousYear, start, end }]
+ */
+function comparisonPeriods(start, end) {
+  return [
+    { key: 'current', start: start, end: end },
+    { key: 'previousMonth', start: shiftMonths(start, -1), end: shiftMonths(end, -1) },
+    { key: 'previousYear', start: shiftMonths(start, -12), end: shiftMonths(end, -12) }
+  ];
+}
+
+/**
+ * Aggregation pipeline of a user's actual costs in the periods (planned costs are left out).
+ * A cost can fall in more than one period (when the period is longer than a month).
+ * - totals: [{ _id: { period, category, currency, createdAt }, sum, count }]
+ * - top: [{ _id: currency, items: [{ id, description, category, sum, currency, createdAt }] }],
+ *   the largest costs of the current period in each currency
+ * @param {number} userid - User ID
+ * @param {Array} periods - Result of comparisonPeriods
+ * @param {number} top - Number of top expenses
+ * @param {string} defaultCurrency - Currency of costs saved without one
+ * @returns {Array} Pipeline for Cost.aggregate
+ */
+function pipeline(userid, periods, top, defaultCurrency) {
+  return [
+    { $match: {
+      userid: userid,
+      status: { $ne: 'planned' },
+      $or: periods.map(function (p) {
+        return { createdAt: { $gte: p.start, $lt: p.end } };
+      })
+    } },
+    { $set: {
+      period: periods.map(function (p) {
+        return { $cond: [{ $and: [{ $gte: ['$createdAt', p.start] }, { $lt: ['$createdAt', p.end] }] }, p.key, null] };
+      }),
+      amount: { $toDouble: '$sum' },
+      currency: { $ifNull: ['$currency', defaultCurrency] }
+    } },
+    { $unwind: '$period' },
+    { $match: { period: { $ne: null } } },
+    { $facet: {
+      totals: [
+        { $group: {
+          _id: { period: '$period', category: '$category', currency: '$currency', createdAt: '$createdAt' },
+          sum: { $sum: '$amount' },
+          count: { $sum: 1 }
+        } }
+      ],
+      top: [
+        { $match: { period: 'current' } },
+        { $group: {
+          _id: '$currency',
+          items: { $topN: {
+            n: top,
+            sortBy: { amount: -1 },
+            output: { id: '$_id', description: '$description', category: '$category', sum: '$amount', currency: '$currency', createdAt: '$createdAt' }
+          } }
+        } }
+      ]
+    } }
+  ];
+}
+
+/**
+ * Helper function: Round money to cents.
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Helper function: Percentage with one decimal (null when the base is 0).
+ * @param {number} part - Part
+ * @param {number} base - Whole
+ * @returns {number|null} Percentage
+ */
+function percent(part, base) {
+  return base > 0 ? Math.round((part / base) * 1000) / 10 : null;
+}
+
+/**
+ * Helper function: Format a local date as YYYY-MM-DD.
+ * @param {Date} date - Date
+ * @returns {string} Day
+ */
+function formatDay(date) {
+  return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' + String(date.getDate()).padStart(2, '0');
+}
+
+/**
+ * Helper function: First and last day of a period, for the response.
+ * @param {Object} period - { start, end } (end exclusive)
+ * @returns {Object} { from, to } as YYYY-MM-DD (both inclusive)
+ */
+function periodDays(period) {
+  const last = new Date(period.end.getFullYear(), period.end.getMonth(), period.end.getDate() - 1);
+  return { from: formatDay(period.start), to: formatDay(last) };
+}
+
+/**
+ * Build the analytics response.
+ * @param {Array} periods - Result of comparisonPeriods
+ * @param {Array} totals - Converted totals rows { period, category, sum, count }
+ * @param {Array} topItems - Converted top expenses of the current period (any order)
+ * @param {number} top - Number of top expenses to list
+ * @returns {Object} { days, total, count, averageDaily, categories, comparison, top }
+ */
+function summarize(periods, totals, topItems, top) {
+  // Totals per period and category
+  const byPeriod = {};
+  periods.forEach(function (p) {
+    byPeriod[p.key] = { total: 0, count: 0, categories: {} };
+  });
+  totals.forEach(function (row) {
+    const period = byPeriod[row.period];
+    const category = period.categories[row.category] || (period.categories[row.category] = { total: 0, count: 0 });
+    category.total += row.sum;
+    category.count += row.count;
+    period.total += row.sum;
+    period.count += row.count;
+  });
+
+  const current = byPeriod.current;
+  const days = Math.round((periods[0].end - periods[0].start) / DAY_MS);
+
+  const categories = Object.keys(current.categories)
+    .map(function (name) {
+      const c = current.categories[name];
+      return { category: name, total: round(c.total), count: c.count, percent: percent(c.total, current.total) };
+    })
+    .sort(function (a, b) { return b.total - a.total; });
+
+  /**
+   * Compare the current period with an earlier one.
+   * @param {Object} period - Earlier period { key, start, end }
+   * @returns {Object} { from, to, total, delta, deltaPercent, categories: [{ category, total, delta }] }
+   */
+  function compare(period) {
+    const earlier = byPeriod[period.key];
+    const names = Object.keys(Object.assign({}, earlier.categories, current.categories));
+    const range = periodDays(period);
+    return {
+      from: range.from,
+      to: range.to,
+      total: round(earlier.total),
+      delta: round(current.total - earlier.total),
+      deltaPercent: percent(current.total - earlier.total, earlier.total),
+      categories: names
+        .map(function (name) {
+          const now = current.categories[name] ? current.categories[name].total : 0;
+          const before = earlier.categories[name] ? earlier.categories[name].total : 0;
+          return { category: name, total: round(before), delta: round(now - before) };
+        })
+        .sort(function (a, b) { return Math.abs(b.delta) - Math.abs(a.delta); })
+    };
+  }
+
+  return {
+    days: days,
+    total: round(current.total),
+    count: current.count,
+    averageDaily: days > 0 ? round(current.total / days) : 0,
+    categories: categories,
+    comparison: {
+      previousMonth: compare(periods[1]),
+      previousYear: compare(periods[2])
+    },
+    top: topItems
+      .slice()
+      .sort(function (a, b) { return b.sum - a.sum; })
+      .slice(0, top)
+      .map(function (item) {
+        return { id: String(item.id), description: item.description, category: item.category, sum: item.sum, createdAt: item.createdAt };
+      })
+  };
+}
+
+module.exports = {
+  shiftMonths: shiftMonths,
+  comparisonPeriods: comparisonPeriods,
+  pipeline: pipeline,
+  summarize: summarize,
+  formatDay: formatDay
+};
@@ -1,57 +1,45 @@
-﻿/**
- * Sends a log document to the logs service asynchronously.
- * This function fails silently if the logs service is unavailable.
- * @param {Object} doc - The log document to send
- */
-function pushLog(doc) {
-  try {
-    if (!process.env.LOGS_SERVICE_URL) return;
-    fetch(process.env.LOGS_SERVICE_URL + '/api/logs', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(doc)
-    }).catch(()=>{});
-  } catch(e){}
-}
-
-// Load environment variables from .env file
+﻿// Load environment variables from .env file
 require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const pinoHttp = require('pino-http');
+const pkg = require('./package.json');
+const auth = require('../shared/auth');
+const requestContext = require('../shared/request-context');
+const health = require('../shared/health');
+const metrics = require('../shared/metrics');
+const logging = require('../shared/logging');
 
 // Import Mongoose models
 const Cost = require('./models/cost.model');
 const Report = require('./models/report.model');
+const Category = require('./models/category.model');
+const RecurringCost = require('./models/recurring.model');
+const Rate = require('./models/rate.model');
+const Budget = require('./models/budget.model');
+const Policy = require('./models/policy.model');
+const scheduler = require('./scheduler');
+const currency = require('./currency');
+const csv = require('./csv');
+const split = require('./split');
+const usersClient = require('./users-client');
+const reportExport = require('./export');
+const analytics = require('./analytics');
+const forecast = require('./forecast');
 const Log = require('./models/log.model');
 
 const app = express();
+// Request logs are saved locally and sent to logs-service
+const logger = logging.createLogger({ model: Log, remote: true });
 
-// Middleware: Parse JSON request bodies
-app.use(express.json());
-// Middleware: HTTP request logging using pino
-app.use(pinoHttp());
-// Middleware: Track request timing and send logs to logs service
-app.use((req, res, next) => {
-  const start = Date.now();
-  res.on('finish', () => {
-    const logDoc = {
-      ts: new Date(),
-      service: process.env.SERVICE_NAME,
-      type: 'request',
-      method: req.method,
-      path: req.path,
-      statusCode: res.statusCode,
-      responseTimeMs: Date.now() - start,
-      message: 'request completed'
-    };
-    // Save log to local MongoDB database
-    new Log(logDoc).save().catch(() => {});
-    // Also send to centralized logs service
-    pushLog(logDoc);
-  });
-  next();
-});
+// Middleware: Parse JSON request bodies (limit large enough for POST /api/import)
+app.use(express.json({ limit: '5mb' }));
+// Middleware: Accept or generate the X-Request-Id (see shared/request-context.js)
+app.use(requestContext.middleware);
+// Middleware: HTTP request logging using pino (logged with the request id)
+app.use(pinoHttp({ genReqId: requestContext.genReqId }));
+// Middleware: Track request timing and save logs to database and logs service
+app.use(logger.middleware);
 
 /**
  * Helper function to send standardized error responses.
@@ -64,13 +52,73 @@ function sendError(res, id, message, statusCode) {
   res.status(statusCode || 400).json({ id: id, message: message });
 }
 
-// Valid cost categories that can be used when adding costs
-const ALLOWED_CATEGORIES = ['food', 'health', 'housing', 'sports', 'education'];
+/**
+ * Helper function to reject a caller acting on another user's data.
+ * @param {Object} res - Express response object
+ */
+function sendForbidden(res) {
+  sendError(res, 403, 'Not allowed to access data of this user', 403);
+}
+
+// Middleware: Every /api endpoint needs a token (see shared/auth.js).
+// Callers act on their own userid only; admins and other services may act on anyone.
+app.use('/api', auth.authenticate());
+
+// Currency of costs added without one, and the base currency of the exchange rates
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'ILS';
+
+// How many days in the past the createdAt of a new cost may be (0: not at all),
+// unless the user has their own policy (PUT /api/policy/:userid)
+const BACKDATE_DAYS = Number(process.env.BACKDATE_DAYS) || 0;
+const MAX_BACKDATE_DAYS = 365;
+
+// Condition on Cost.status that leaves planned costs out of totals, reports and budgets
+// (costs saved without a status are actual)
+const ACTUAL_COST = { $ne: 'planned' };
+
+// Page size of GET /api/costs (default and maximum)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Maximum number of rows accepted by one POST /api/import
+const MAX_IMPORT_ROWS = 10000;
+
+// Global default categories, inserted into the categories collection on first start.
+// Listed in the order they appear in reports.
+const DEFAULT_CATEGORIES = ['food', 'education', 'health', 'housing', 'sports'];
+
+/**
+ * Insert the global default categories if there are no global categories yet.
+ * Inserted one by one so their _id order keeps the report order.
+ */
+async function seedDefaultCategories() {
+  const count = await Category.countDocuments({ userid: null });
+  if (count > 0) return;
+  for (let i = 0; i < DEFAULT_CATEGORIES.length; i++) {
+    await Category.updateOne(
+      { userid: null, name: DEFAULT_CATEGORIES[i] },
+      { $setOnInsert: { userid: null, name: DEFAULT_CATEGORIES[i], parent: null } },
+      { upsert: true }
+    );
+  }
+}
+
+/**
+ * Helper function: Load the categories a user can use (global defaults + the user's own).
+ * Sorted by creation order, so the defaults keep their original report order.
+ * @param {number} userid - User ID (undefined for global categories only)
+ * @returns {Promise<Array>} Category documents
+ */
+async function getCategories(userid) {
+  const owners = userid === undefined || userid === null ? [null] : [null, userid];
+  return Category.find({ userid: { $in: owners } }).sort({ _id: 1 }).lean();
+}
 
 // Connect to MongoDB database
 mongoose.connect(process.env.MONGO_URI)
   .then(function () {
     console.log('MongoDB connected (costs-service)');
+    return seedDefaultCategories();
   })
   .catch(function (err) {
     console.log('MongoDB connection error:', err.message);
@@ -78,77 +126,453 @@ mongoose.connect(process.env.MONGO_URI)
 
 /**
  * Health check endpoint.
- * Returns the service name and status to verify the service is running.
+ * Returns the service name, status, version and MongoDB connection state (see shared/health.js).
  */
-app.get('/health', function (req, res) {
-  res.json({ service: process.env.SERVICE_NAME, status: 'ok' });
-});
+app.get('/health', health.handler(mongoose.connection, pkg.version));
+
+/**
+ * Metrics endpoint (Prometheus text format, see shared/metrics.js).
+ */
+app.get('/metrics', metrics.handler(mongoose.connection));
+
+/**
+ * Helper function: Check the types of the cost fields sent by the client (no database access).
+ * Checks are done in the order of the error ids 1-5, then 9-11.
+ * @param {Object} body - Request body (or one imported row)
+ * @param {boolean} partial - If true, missing fields are allowed
+ * @returns {Object|null} Error { id, message } or null if valid
+ */
+function checkCostFields(body, partial) {
+  const fields = ['description', 'category', 'userid', 'sum', 'currency', 'createdAt', 'group', 'split'];
+
+  if (!partial && (body.description === undefined || body.category === undefined || body.userid === undefined || body.sum === undefined)) {
+    return { id: 1, message: 'Missing required fields: description, category, userid, sum' };
+  }
+
+  if (partial && !fields.some(function (f) { return body[f] !== undefined; })) {
+    return { id: 1, message: 'At least one field is required: description, category, userid, sum, currency, createdAt, group, split' };
+  }
+
+  if (body.description !== undefined && typeof body.description !== 'string') {
+    return { id: 2, message: 'description must be a String' };
+  }
+
+  if (body.category !== undefined && typeof body.category !== 'string') {
+    return { id: 3, message: 'category must be a String' };
+  }
+
+  if (body.userid !== undefined && typeof body.userid !== 'number') {
+    return { id: 4, message: 'userid must be a Number' };
+  }
+
+  if (body.sum !== undefined && typeof body.sum !== 'number') {
+    return { id: 5, message: 'sum must be a Number' };
+  }
+
+  if (body.currency !== undefined && !currency.isCurrencyCode(body.currency)) {
+    return { id: 9, message: 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)' };
+  }
+
+  // group: null removes a cost from its group (updates only)
+  if (body.group !== undefined && !(partial && body.group === null) && !mongoose.isValidObjectId(body.group)) {
+    return { id: 10, message: 'group must be a valid ObjectId' };
+  }
+
+  if (body.split !== undefined) {
+    const splitError = split.checkShape(body.split);
+    if (splitError) {
+      return { id: 11, message: splitError };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Helper function: Parse and check the createdAt of a cost (error ids 6-7).
+ * A cost dated in the future is planned (see Cost.status).
+ * @param {*} value - createdAt sent by the client (server time is used if not provided)
+ * @param {number} backdateDays - How many days in the past createdAt may be (see backdateDays)
+ * @returns {Object} { error: { id, message } } on failure, otherwise { createdAt, status }
+ */
+function checkCostDate(value, backdateDays) {
+  // Use current time if createdAt is not provided, otherwise parse the provided date
+  const now = new Date();
+  const createdAt = value ? new Date(value) : now;
+
+  // Validate that the date is valid
+  if (isNaN(createdAt.getTime())) {
+    return { error: { id: 6, message: 'createdAt must be a valid Date if provided' } };
+  }
+
+  // Business rule: Block "past" dates: createdAt < now, less the days the policy allows.
+  // Without backdating (the default) the server does NOT allow adding costs with dates that belong to the past
+  if (createdAt.getTime() < now.getTime() - backdateDays * 24 * 60 * 60 * 1000) {
+    return { error: { id: 7, message: backdateDays > 0 ? 'Cannot add costs dated more than ' + backdateDays + ' days in the past' : 'Cannot add costs with dates in the past' } };
+  }
+
+  return { createdAt: createdAt, status: createdAt.getTime() > now.getTime() ? 'planned' : 'actual' };
+}
+
+/**
+ * Helper function: How many days in the past a user may date costs.
+ * @param {Object} [policy] - Policy document of the user
+ * @returns {number} The user's backdateDays, or BACKDATE_DAYS without a policy
+ */
+function policyDays(policy) {
+  return policy ? policy.backdateDays : BACKDATE_DAYS;
+}
+
+/**
+ * Helper function: Load how many days in the past a user may date costs.
+ * @param {number} [userid] - User ID
+ * @returns {Promise<number>} Days (see policyDays)
+ */
+async function backdateDays(userid) {
+  return policyDays(userid === undefined ? null : await Policy.findOne({ userid: userid }).lean());
+}
+
+/**
+ * Helper function: Pick the cost fields to save from a validated body.
+ * Costs added without a currency are in the default currency.
+ * @param {Object} body - Request body (or one imported row)
+ * @param {boolean} partial - If true, only the fields present are returned
+ * @returns {Object} Fields to save (without createdAt)
+ */
+function costValues(body, partial) {
+  const values = {};
+  ['description', 'category', 'userid', 'sum', 'currency'].forEach(function (f) {
+    if (body[f] !== undefined) values[f] = body[f];
+  });
+
+  if (!partial && values.currency === undefined) {
+    values.currency = DEFAULT_CURRENCY;
+  }
+
+  return values;
+}
+
+/**
+ * Helper function: Validate cost fields sent by the client.
+ * Used by POST /api/add (full) and PATCH /api/costs/:id (partial, only the fields present are checked).
+ * Checks are done in the order 1-5, 9-11, then 8, then the category lookup (3), then the group (12-13), then 6-7.
+ * @param {Object} body - Request body
+ * @param {boolean} partial - If true, missing fields are allowed
+ * @param {Object} [current] - Existing cost when updating (its userid/category are used for the category lookup)
+ * @returns {Promise<Object>} { error: { id, message } } on failure, otherwise { values } with the normalized fields
+ */
+async function validateCost(body, partial, current) {
+  const fieldError = checkCostFields(body, partial);
+  if (fieldError) {
+    return { error: fieldError };
+  }
+
+  // Verify that the user exists in users-service before adding a cost
+  if (body.userid !== undefined) {
+    if (!(await usersClient.userExists(body.userid))) {
+      return { error: { id: 8, message: 'User with this userid does not exist' } };
+    }
+  }
+
+  // Verify that the category is available to the (new) owner: a global default or one of the user's own.
+  // When only the userid of an existing cost changes, its current category must exist for the new user.
+  const userid = body.userid !== undefined ? body.userid : (current ? current.userid : undefined);
+  const category = body.category !== undefined ? body.category : (current && body.userid !== undefined ? current.category : undefined);
+  if (category !== undefined) {
+    const names = (await getCategories(userid)).map(function (c) { return c.name; });
+    if (names.indexOf(category) === -1) {
+      return { error: { id: 3, message: 'category must be one of: ' + names.join(', ') } };
+    }
+  }
+
+  const values = costValues(body, partial);
+
+  // Group costs: the payer must be a member and the split must match the members and the sum.
+  // Checked again on updates that change the group, split, sum or payer.
+  const groupId = body.group !== undefined ? body.group : (current ? current.group : undefined);
+  if (groupId && (!partial || ['group', 'split', 'sum', 'userid'].some(function (f) { return body[f] !== undefined; }))) {
+    const group = await usersClient.getGroup(String(groupId));
+    if (!group) {
+      return { error: { id: 12, message: 'Group does not exist' } };
+    }
+    const members = group.members.map(function (m) { return m.userid; });
+    if (members.indexOf(userid) === -1) {
+      return { error: { id: 12, message: 'User ' + userid + ' is not a member of the group' } };
+    }
+
+    // Moving a cost to another group without a split starts over with the default split
+    const rule = body.split !== undefined ? body.split : (body.group !== undefined ? undefined : currentSplit(current));
+    const shares = rule && rule.shares
+      ? rule.shares.map(function (s) { return { userid: s.userid, value: s.value }; })
+      : members.map(function (id) { return { userid: id }; });  // Equal split between all members by default
+    const costSplit = { type: rule ? rule.type : 'equal', shares: shares };
+
+    const sum = body.sum !== undefined ? body.sum : Number(current.sum);
+    const splitError = split.checkShares(costSplit, sum, members);
+    if (splitError) {
+      return { error: { id: 13, message: splitError } };
+    }
+
+    values.group = group._id;
+    values.split = costSplit;
+  } else if (body.split !== undefined && !groupId) {
+    return { error: { id: 11, message: 'split is only allowed for costs of a group' } };
+  }
+
+  // group: null takes the cost out of its group
+  if (body.group === null) {
+    values.group = undefined;
+    values.split = undefined;
+  }
+
+  if (!partial || body.createdAt !== undefined) {
+    const date = checkCostDate(body.createdAt, await backdateDays(userid));
+    if (date.error) {
+      return date;
+    }
+    values.createdAt = date.createdAt;
+    values.status = date.status;
+  }
+
+  return { values: values };
+}
+
+/**
+ * Helper function: The split of an existing group cost as a plain object.
+ * @param {Object} [cost] - Cost document
+ * @returns {Object|undefined} { type, shares: [{ userid, value }] } or undefined if it has none
+ */
+function currentSplit(cost) {
+  if (!cost || !cost.split || !cost.split.type) return undefined;
+  return {
+    type: cost.split.type,
+    shares: cost.split.shares.map(function (s) { return { userid: s.userid, value: s.value }; })
+  };
+}
+
+/**
+ * Helper function: Build the JSON returned for a single cost item.
+ * @param {Object} cost - Cost document
+ * @returns {Object} Cost fields including its MongoDB _id
+ */
+function formatCost(cost) {
+  const formatted = {
+    _id: cost._id,
+    description: cost.description,
+    category: cost.category,
+    userid: cost.userid,
+    sum: cost.sum,
+    currency: cost.currency || DEFAULT_CURRENCY,
+    createdAt: cost.createdAt,
+    status: cost.status || 'actual'
+  };
+  if (cost.group) {
+    formatted.group = cost.group;
+    formatted.split = currentSplit(cost);
+  }
+  return formatted;
+}
 
 /*
   POST /api/add
   Add a new cost item.
   - If createdAt is not provided, use server time.
-  - Server does NOT allow adding costs with dates that belong to the past.
+  - Server does NOT allow adding costs with dates that belong to the past, except within
+    the days of the user's policy (BACKDATE_DAYS by default, see GET /api/policy).
+    Cached reports that contain a backdated cost's date are invalidated.
+  - A cost dated in the future is planned (status): it is left out of totals, reports and
+    budgets until its date, when it becomes actual.
+  - overBudget is true when the category is over its budget for that month after this cost
+    (the exceeded budgets are listed in "budgets").
+  - unusual is true when the sum is far above the user's usual sums in the category
+    (see GET /api/anomalies; the details are in "anomaly").
+  - group (optional): the cost belongs to that group and userid is the member who paid.
+    split (optional): { type: equal|percentage|exact, shares: [{ userid, value }] };
+    defaults to an equal split between all members of the group.
 */
 app.post('/api/add', async function (req, res) {
   try {
-    const body = req.body;
+    if (typeof req.body.userid === 'number' && !auth.canAccess(req.user, req.body.userid)) {
+      return sendForbidden(res);
+    }
 
-    if (body.description === undefined || body.category === undefined || body.userid === undefined || body.sum === undefined) {
-      return sendError(res, 1, 'Missing required fields: description, category, userid, sum', 400);
+    const result = await validateCost(req.body, false);
+    if (result.error) {
+      return sendError(res, result.error.id, result.error.message, 400);
     }
 
-    if (typeof body.description !== 'string') {
-      return sendError(res, 2, 'description must be a String', 400);
+    const saved = await new Cost(result.values).save();
+    // A backdated cost may fall in a closed period whose report is cached
+    await Report.invalidate(saved.userid, saved.createdAt);
+
+    const exceeded = await exceededBudgets(saved);
+    const response = formatCost(saved);
+    response.overBudget = exceeded.length > 0;
+    if (exceeded.length > 0) {
+      response.budgets = exceeded;
     }
 
-    if (typeof body.category !== 'string' || ALLOWED_CATEGORIES.indexOf(body.category) === -1) {
-      return sendError(res, 3, 'category must be one of: food, health, housing, sports, education', 400);
+    const unusual = await unusualCost(saved);
+    response.unusual = unusual !== null;
+    if (unusual) {
+      response.anomaly = unusual;
     }
 
-    if (typeof body.userid !== 'number') {
-      return sendError(res, 4, 'userid must be a Number', 400);
+    res.json(response);
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Convert the cells of an imported CSV row to the types of /api/add.
+ * userid and sum become Numbers when they are numeric; otherwise they stay Strings
+ * so the row is rejected with the same error as /api/add.
+ * @param {Object} row - Row parsed from CSV (all values are Strings)
+ * @returns {Object} Row with typed values
+ */
+function typeCsvRow(row) {
+  const typed = Object.assign({}, row);
+  ['userid', 'sum'].forEach(function (f) {
+    if (typed[f] !== undefined && typed[f].trim() !== '' && !Number.isNaN(Number(typed[f]))) {
+      typed[f] = Number(typed[f]);
     }
+  });
+  return typed;
+}
+
+/*
+  POST /api/import?dryRun=true
+  Bulk import of cost items, as a JSON array (Content-Type: application/json) or as CSV
+  with a header line (Content-Type: text/csv) with the columns
+  description,category,userid,sum,currency,createdAt.
+  - Every row gets the same checks as POST /api/add (error ids 1-11, 403 for rows of
+    other users), but users and categories are looked up once for all rows.
+    Group costs are rejected (14).
+  - Valid rows are inserted together; rejected rows are listed with the reason.
+  - dryRun=true only validates, nothing is inserted.
+*/
+app.post('/api/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async function (req, res) {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
 
-    if (typeof body.sum !== 'number') {
-      return sendError(res, 5, 'sum must be a Number', 400);
+    let rows;
+    if (typeof req.body === 'string') {
+      rows = csv.parse(req.body).map(typeCsvRow);
+    } else if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else {
+      return sendError(res, 90, 'Body must be a JSON array or CSV with a header line', 400);
     }
 
-    // Verify that the user exists in the users collection before adding a cost
-    const userExists = await mongoose.connection.collection('users').findOne({ id: body.userid });
-    if (!userExists) {
-      return sendError(res, 8, 'User with this userid does not exist', 400);
+    if (rows.length === 0) {
+      return sendError(res, 90, 'Body must contain at least one row', 400);
     }
 
-    // Use current time if createdAt is not provided, otherwise parse the provided date
-    const now = new Date();
-    const createdAt = body.createdAt ? new Date(body.createdAt) : now;
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return sendError(res, 91, 'Cannot import more than ' + MAX_IMPORT_ROWS + ' rows at once', 400);
+    }
+
+    // Type checks (no database access)
+    const results = rows.map(function (row, i) {
+      const error = row && typeof row === 'object' && !Array.isArray(row)
+        ? checkCostFields(row, false)
+        : { id: 1, message: 'Row must be an object' };
+      return { row: i + 1, error: error };
+    });
+
+    // Look up all the users and their categories at once
+    const userids = [];
+    rows.forEach(function (row, i) {
+      if (!results[i].error && userids.indexOf(row.userid) === -1) userids.push(row.userid);
+    });
+
+    const existing = userids.length > 0 ? await usersClient.findUsers(userids) : [];
+
+    const categoryDocs = await Category.find({ userid: { $in: [null].concat(userids) } }).sort({ _id: 1 }).lean();
+
+    const policyDocs = userids.length > 0 ? await Policy.find({ userid: { $in: userids } }).lean() : [];
 
-    // Validate that the date is valid
-    if (isNaN(createdAt.getTime())) {
-      return sendError(res, 6, 'createdAt must be a valid Date if provided', 400);
+    /**
+     * Category names available to a user (global defaults + the user's own).
+     * @param {number} userid - User ID
+     * @returns {Array} Category names
+     */
+    function categoryNames(userid) {
+      return categoryDocs
+        .filter(function (c) { return c.userid === null || c.userid === undefined || c.userid === userid; })
+        .map(function (c) { return c.name; });
     }
 
-    // Business rule: Block "past" dates (strict): createdAt < now
-    // Server does NOT allow adding costs with dates that belong to the past
-    if (createdAt.getTime() < now.getTime()) {
-      return sendError(res, 7, 'Cannot add costs with dates in the past', 400);
+    // Same order of checks as /api/add: 8, then 3, then 6-7
+    const docs = [];
+    rows.forEach(function (row, i) {
+      if (results[i].error) return;
+
+      if (!auth.canAccess(req.user, row.userid)) {
+        results[i].error = { id: 403, message: 'Not allowed to access data of this user' };
+        return;
+      }
+
+      if (row.group !== undefined || row.split !== undefined) {
+        results[i].error = { id: 14, message: 'Group costs cannot be imported, add them with POST /api/add' };
+        return;
+      }
+
+      if (existing.indexOf(row.userid) === -1) {
+        results[i].error = { id: 8, message: 'User with this userid does not exist' };
+        return;
+      }
+
+      const names = categoryNames(row.userid);
+      if (names.indexOf(row.category) === -1) {
+        results[i].error = { id: 3, message: 'category must be one of: ' + names.join(', ') };
+        return;
+      }
+
+      const policy = policyDocs.find(function (p) { return p.userid === row.userid; });
+      const date = checkCostDate(row.createdAt, policyDays(policy));
+      if (date.error) {
+        results[i].error = date.error;
+        return;
+      }
+
+      const values = costValues(row, false);
+      values.createdAt = date.createdAt;
+      values.status = date.status;
+      docs.push({ index: i, values: values });
+    });
+
+    if (!dryRun && docs.length > 0) {
+      const inserted = await Cost.insertMany(docs.map(function (d) { return d.values; }));
+      inserted.forEach(function (cost, j) {
+        results[docs[j].index]._id = cost._id;
+      });
+
+      // Reports of the months that received costs may be cached
+      const months = {};
+      inserted.forEach(function (cost) {
+        const d = new Date(cost.createdAt);
+        months[cost.userid + '-' + d.getFullYear() + '-' + d.getMonth()] = cost;
+      });
+      const keys = Object.keys(months);
+      for (let i = 0; i < keys.length; i++) {
+        await Report.invalidate(months[keys[i]].userid, months[keys[i]].createdAt);
+      }
     }
 
-    const saved = await new Cost({
-      description: body.description,
-      category: body.category,
-      userid: body.userid,
-      sum: body.sum,
-      createdAt: createdAt
-    }).save();
+    const rejected = results.filter(function (r) { return r.error; });
 
     res.json({
-      description: saved.description,
-      category: saved.category,
-      userid: saved.userid,
-      sum: saved.sum,
-      createdAt: saved.createdAt
+      dryRun: dryRun,
+      total: rows.length,
+      imported: dryRun ? 0 : docs.length,
+      valid: docs.length,
+      rejected: rejected.length,
+      rows: results.map(function (r) {
+        if (r.error) return { row: r.row, status: 'rejected', id: r.error.id, message: r.error.message };
+        return dryRun ? { row: r.row, status: 'valid' } : { row: r.row, status: 'imported', _id: r._id };
+      })
     });
   } catch (err) {
     return sendError(res, 999, err.message || 'Unknown error', 500);
@@ -156,129 +580,2213 @@ app.post('/api/add', async function (req, res) {
 });
 
 /**
- * Helper function: Build the report JSON in the required format.
- * Groups costs by category and extracts the day of month for each cost.
- * @param {number} userid - User ID
- * @param {number} year - Year for the report
- * @param {number} month - Month for the report (1-12)
- * @param {Array} costs - Array of cost documents
- * @returns {Object} Report object with userid, year, month, and grouped costs
+ * Helper function: Parse a date filter from the query string.
+ * A day ("YYYY-MM-DD") is taken in local time like the reports, and as a "to" filter
+ * it includes the whole day. Any other value is parsed as a full date/time.
+ * @param {string} value - Query value
+ * @param {boolean} endOfDay - True for "to" filters
+ * @returns {Date|null} Parsed date or null if invalid
  */
-function buildReport(userid, year, month, costs) {
-  /**
-   * Extract the day of month from a date.
-   * @param {Date} d - Date object
-   * @returns {number} Day of month (1-31)
-   */
-  function dayOfMonth(d) {
-    return new Date(d).getDate();
+function parseDateParam(value, endOfDay) {
+  const day = parseDay(value);
+  if (day) {
+    return endOfDay ? new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59, 59, 999) : day;
   }
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
 
-  // Initialize grouped costs object with all allowed categories
-  const grouped = {
-    food: [],
-    education: [],
-    health: [],
-    housing: [],
-    sports: []
-  };
+/**
+ * Helper function: Encode the position after the last cost of a page.
+ * @param {Object} cost - Last cost of the page
+ * @param {string} field - Sort field ('createdAt' or 'sum')
+ * @returns {string} Opaque cursor (base64url JSON of the sort value and _id)
+ */
+function encodeCursor(cost, field) {
+  const value = field === 'createdAt' ? new Date(cost.createdAt).toISOString() : cost.sum;
+  return Buffer.from(JSON.stringify({ v: value, id: String(cost._id) })).toString('base64url');
+}
 
-  // Group costs by category and extract day of month
-  for (let i = 0; i < costs.length; i++) {
-    const c = costs[i];
-    if (grouped[c.category]) {
-      grouped[c.category].push({
-        sum: c.sum,
-        description: c.description,
-        day: dayOfMonth(c.createdAt)
-      });
-    }
+/**
+ * Helper function: Decode a cursor made by encodeCursor.
+ * @param {string} cursor - Cursor from the query
+ * @param {string} field - Sort field ('createdAt' or 'sum')
+ * @returns {Object|null} { value, id } or null if invalid
+ */
+function decodeCursor(cursor, field) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(data.id)) return null;
+    const value = field === 'createdAt' ? new Date(data.v) : data.v;
+    if (field === 'createdAt' ? isNaN(value.getTime()) : typeof value !== 'number') return null;
+    return { value: value, id: new mongoose.Types.ObjectId(data.id) };
+  } catch (e) {
+    return null;
   }
-
-  return {
-    userid: userid,
-    year: year,
-    month: month,
-    costs: [
-      { food: grouped.food },
-      { education: grouped.education },
-      { health: grouped.health },
-      { housing: grouped.housing },
-      { sports: grouped.sports }
-    ]
-  };
 }
 
 /*
-  GET /api/report?id=123123&year=2025&month=11
-  Computed Design Pattern:
-  - If report requested for a past month and cached in DB => return cached.
-  - Otherwise compute from costs and (if past) save it.
+  GET /api/costs?userid=123123&category=food&from=2026-01-01&to=2026-03-31&minSum=10&maxSum=500&q=milk&sort=-sum&limit=50&cursor=...
+  Search cost items (e.g. for a transaction list). All filters are optional:
+  - userid, category: exact match (callers that are not admins always get their own costs)
+  - group: costs of a group
+  - from, to: createdAt range (days are inclusive)
+  - minSum, maxSum: sum range (inclusive)
+  - q: text search in the description (whole words)
+  - status: actual or planned
+  - sort: createdAt, -createdAt (default), sum or -sum
+  - limit: page size (default 50, max 200)
+  - cursor: nextCursor of the previous page
+  Returns { costs, nextCursor } where nextCursor is null on the last page.
 */
-app.get('/api/report', async function (req, res) {
+app.get('/api/costs', async function (req, res) {
   try {
-    const userid = Number(req.query.id);
-    const year = Number(req.query.year);
-    const month = Number(req.query.month);
+    const query = req.query;
+    const conditions = [];
 
-    if (Number.isNaN(userid) || Number.isNaN(year) || Number.isNaN(month)) {
-      return sendError(res, 20, 'Query params must be Numbers: id, year, month', 400);
+    let userid;
+    if (query.userid !== undefined) {
+      userid = Number(query.userid);
+      if (Number.isNaN(userid)) {
+        return sendError(res, 100, 'userid must be a Number', 400);
+      }
     }
 
-    if (month < 1 || month > 12) {
-      return sendError(res, 21, 'month must be between 1 and 12', 400);
+    // Callers that are not admins only search their own costs
+    if (!auth.isPrivileged(req.user)) {
+      if (userid !== undefined && userid !== req.user.id) {
+        return sendForbidden(res);
+      }
+      userid = req.user.id;
     }
 
-    // Determine if the requested month is in the past
-    const now = new Date();
-    const isPastMonth = (year < now.getFullYear()) || (year === now.getFullYear() && month < (now.getMonth() + 1));
+    if (userid !== undefined) {
+      conditions.push({ userid: userid });
+    }
 
-    // Computed Design Pattern: If report requested for a past month and cached in DB => return cached
-    if (isPastMonth) {
-      const cached = await Report.findOne({ userid: userid, year: year, month: month }).lean();
-      if (cached && cached.report) {
-        return res.json(cached.report);
+    if (query.category !== undefined) {
+      conditions.push({ category: String(query.category) });
+    }
+
+    if (query.group !== undefined) {
+      if (!mongoose.isValidObjectId(query.group)) {
+        return sendError(res, 106, 'group must be a valid ObjectId', 400);
       }
+      conditions.push({ group: new mongoose.Types.ObjectId(String(query.group)) });
     }
 
-    // Calculate the start and end dates for the requested month
-    // Start: first day of the month at 00:00:00
-    // End: first day of the next month at 00:00:00 (exclusive)
-    const start = new Date(year, month - 1, 1, 0, 0, 0, 0);
-    const end = new Date(year, month, 1, 0, 0, 0, 0);
+    if (query.from !== undefined || query.to !== undefined) {
+      const range = {};
+      if (query.from !== undefined) range.$gte = parseDateParam(query.from, false);
+      if (query.to !== undefined) range.$lte = parseDateParam(query.to, true);
+      if (range.$gte === null || range.$lte === null) {
+        return sendError(res, 101, 'from and to must be valid Dates', 400);
+      }
+      conditions.push({ createdAt: range });
+    }
 
-    // Query all costs for this user within the specified month
-    const costs = await Cost.find(
-      { userid: userid, createdAt: { $gte: start, $lt: end } },
-      { _id: 0, description: 1, category: 1, userid: 1, sum: 1, createdAt: 1 }
-    ).lean();
+    if (query.minSum !== undefined || query.maxSum !== undefined) {
+      const range = {};
+      if (query.minSum !== undefined) range.$gte = Number(query.minSum);
+      if (query.maxSum !== undefined) range.$lte = Number(query.maxSum);
+      if (Number.isNaN(range.$gte) || Number.isNaN(range.$lte)) {
+        return sendError(res, 102, 'minSum and maxSum must be Numbers', 400);
+      }
+      conditions.push({ sum: range });
+    }
 
-    // Build the report from the costs
-    const report = buildReport(userid, year, month, costs);
+    if (query.q !== undefined && String(query.q).trim() !== '') {
+      conditions.push({ $text: { $search: String(query.q) } });
+    }
 
-    // Computed Design Pattern: If past month, save the computed report to cache for future requests
-    if (isPastMonth) {
-      try {
-        await new Report({
-          userid: userid,
-          year: year,
-          month: month,
-          report: report,
-          createdAt: new Date()
-        }).save();
-      } catch (e) {
-        // Ignore duplicate cache errors (if report already exists)
+    if (query.status !== undefined) {
+      if (query.status !== 'actual' && query.status !== 'planned') {
+        return sendError(res, 112, 'status must be one of: actual, planned', 400);
+      }
+      conditions.push({ status: query.status === 'planned' ? 'planned' : ACTUAL_COST });
+    }
+
+    const sort = query.sort === undefined ? '-createdAt' : String(query.sort);
+    if (['createdAt', '-createdAt', 'sum', '-sum'].indexOf(sort) === -1) {
+      return sendError(res, 103, 'sort must be one of: createdAt, -createdAt, sum, -sum', 400);
+    }
+    const field = sort.replace('-', '');
+    const direction = sort.charAt(0) === '-' ? -1 : 1;
+
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return sendError(res, 104, 'limit must be a Number between 1 and ' + MAX_PAGE_SIZE, 400);
+    }
+
+    // Keyset pagination: continue after the (sort value, _id) of the last cost of the previous page
+    if (query.cursor !== undefined) {
+      const cursor = decodeCursor(query.cursor, field);
+      if (!cursor) {
+        return sendError(res, 105, 'cursor is not valid', 400);
       }
+      const op = direction === -1 ? '$lt' : '$gt';
+      const after = {};
+      after[op] = cursor.value;
+      const tie = { _id: {} };
+      tie[field] = cursor.value;
+      tie._id[op] = cursor.id;
+      const next = {};
+      next[field] = after;
+      conditions.push({ $or: [next, tie] });
     }
 
-    return res.json(report);
+    const sortSpec = {};
+    sortSpec[field] = direction;
+    sortSpec._id = direction;
+
+    // Fetch one extra cost to know if there is a next page
+    const found = await Cost.find(conditions.length > 0 ? { $and: conditions } : {})
+      .sort(sortSpec)
+      .limit(limit + 1)
+      .lean();
+
+    const page = found.slice(0, limit);
+    res.json({
+      costs: page.map(formatCost),
+      nextCursor: found.length > limit ? encodeCursor(page[page.length - 1], field) : null
+    });
   } catch (err) {
     return sendError(res, 999, err.message || 'Unknown error', 500);
   }
 });
 
-module.exports = app;
+/*
+  GET /api/costs/total?userid=123123&currency=USD
+  Total of all actual costs of a user (users-service uses it for GET /api/users/:id).
+  Each cost is converted to currency (default: DEFAULT_CURRENCY) with the exchange rate
+  in effect on its createdAt; the total is rounded to cents only when something was converted.
+*/
+app.get('/api/costs/total', async function (req, res) {
+  try {
+    const userid = Number(req.query.userid);
+    if (req.query.userid === undefined || Number.isNaN(userid)) {
+      return sendError(res, 107, 'userid must be a Number', 400);
+    }
 
+    if (!auth.canAccess(req.user, userid)) {
+      return sendForbidden(res);
+    }
 
+    const target = reportCurrency(req.query);
+    if (!target) {
+      return sendError(res, 24, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
 
+    // Sum the costs per currency and createdAt (the exchange rate depends on the cost's date)
+    const grouped = await Cost.aggregate([
+      { $match: { userid: userid, status: ACTUAL_COST } },
+      { $group: {
+        _id: { currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] }, createdAt: '$createdAt' },
+        sum: { $sum: { $toDouble: '$sum' } }
+      } }
+    ]);
+    const sums = grouped.map(function (g) {
+      return { currency: g._id.currency, createdAt: g._id.createdAt, sum: g.sum };
+    });
 
+    const converted = await convertCosts(sums, target);
+    if (converted.error) {
+      return sendError(res, converted.error.id, converted.error.message, 400);
+    }
+
+    let total = converted.costs.reduce(function (acc, c) { return acc + c.sum; }, 0);
+    if (converted.costs !== sums) total = Math.round(total * 100) / 100;
+
+    res.json({ userid: userid, currency: target, total: total });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/costs/:id
+  Returns a single cost item by its MongoDB _id.
+*/
+app.get('/api/costs/:id', async function (req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 30, 'Cost id in URL must be a valid ObjectId', 400);
+    }
+
+    const cost = await Cost.findById(req.params.id).lean();
+    if (!cost) {
+      return sendError(res, 31, 'Cost not found', 404);
+    }
+
+    if (!auth.canAccess(req.user, cost.userid)) {
+      return sendForbidden(res);
+    }
+
+    res.json(formatCost(cost));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  PATCH /api/costs/:id
+  Update some fields of a cost item (same validation as POST /api/add).
+  The cached reports of the old and the new month are invalidated.
+*/
+app.patch('/api/costs/:id', async function (req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 30, 'Cost id in URL must be a valid ObjectId', 400);
+    }
+
+    const cost = await Cost.findById(req.params.id);
+    if (!cost) {
+      return sendError(res, 31, 'Cost not found', 404);
+    }
+
+    // Both the current and a new owner must be the caller (unless admin)
+    if (!auth.canAccess(req.user, cost.userid) ||
+      (typeof req.body.userid === 'number' && !auth.canAccess(req.user, req.body.userid))) {
+      return sendForbidden(res);
+    }
+
+    const result = await validateCost(req.body, true, cost);
+    if (result.error) {
+      return sendError(res, result.error.id, result.error.message, 400);
+    }
+
+    const oldUserid = cost.userid;
+    const oldCreatedAt = cost.createdAt;
+
+    cost.set(result.values);
+    const saved = await cost.save();
+
+    await Report.invalidate(oldUserid, oldCreatedAt);
+    await Report.invalidate(saved.userid, saved.createdAt);
+
+    res.json(formatCost(saved));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  DELETE /api/costs/:id
+  Delete a cost item and invalidate the cached report of its month.
+  Returns the deleted cost.
+*/
+app.delete('/api/costs/:id', async function (req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 30, 'Cost id in URL must be a valid ObjectId', 400);
+    }
+
+    const deleted = await Cost.findById(req.params.id).lean();
+    if (!deleted) {
+      return sendError(res, 31, 'Cost not found', 404);
+    }
+
+    if (!auth.canAccess(req.user, deleted.userid)) {
+      return sendForbidden(res);
+    }
+
+    await Cost.deleteOne({ _id: deleted._id });
+
+    await Report.invalidate(deleted.userid, deleted.createdAt);
+
+    res.json(formatCost(deleted));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/stats
+  Number of costs and cached reports (admins and services only; admin-service shows it at GET /api/admin/status).
+*/
+app.get('/api/stats', auth.requireRole('admin', 'service'), async function (req, res) {
+  try {
+    res.json({
+      costs: await Cost.estimatedDocumentCount(),
+      reports: await Report.estimatedDocumentCount()
+    });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  DELETE /api/userdata/:userid?mode=block|cascade
+  Delete what costs-service keeps for a user (admins and services only).
+  users-service calls it before deleting a user.
+  - block (default): refuse with 409 while the user still has costs
+  - cascade: delete the user's costs too
+  Cached reports, recurring costs, budgets, custom categories and the date policy of the user are always deleted.
+*/
+app.delete('/api/userdata/:userid', auth.requireRole('admin', 'service'), async function (req, res) {
+  try {
+    const userid = Number(req.params.userid);
+    if (Number.isNaN(userid)) {
+      return sendError(res, 107, 'userid must be a Number', 400);
+    }
+
+    const mode = req.query.mode === undefined ? 'block' : req.query.mode;
+    if (mode !== 'block' && mode !== 'cascade') {
+      return sendError(res, 108, 'mode must be one of: block, cascade', 400);
+    }
+
+    if (mode === 'block' && await Cost.exists({ userid: userid })) {
+      return sendError(res, 109, 'User has costs: delete them first or use mode=cascade', 409);
+    }
+
+    const deleted = { costs: 0 };
+    if (mode === 'cascade') {
+      deleted.costs = (await Cost.deleteMany({ userid: userid })).deletedCount;
+    }
+    deleted.reports = (await Report.deleteMany({ userid: userid })).deletedCount;
+    deleted.recurring_costs = (await RecurringCost.deleteMany({ userid: userid })).deletedCount;
+    deleted.budgets = (await Budget.deleteMany({ userid: userid })).deletedCount;
+    deleted.categories = (await Category.deleteMany({ userid: userid })).deletedCount;
+    deleted.policies = (await Policy.deleteMany({ userid: userid })).deletedCount;
+
+    res.json({ userid: userid, mode: mode, deleted: deleted });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Build the JSON returned for a single category.
+ * @param {Object} category - Category document
+ * @returns {Object} Category fields including its MongoDB _id
+ */
+function formatCategory(category) {
+  return {
+    _id: category._id,
+    name: category.name,
+    userid: category.userid,
+    parent: category.parent
+  };
+}
+
+/**
+ * Helper function: Filter matching the documents a category applies to.
+ * A global category (userid null) applies to every user, a custom one only to its owner.
+ * @param {Object} category - Category document
+ * @returns {Object} Filter with the owner's userid, or an empty filter for globals
+ */
+function categoryScope(category) {
+  return category.userid === null || category.userid === undefined ? {} : { userid: category.userid };
+}
+
+/**
+ * Helper function: Check if a caller may change a category.
+ * Global categories are managed by admins, custom ones by their owner.
+ * @param {Object} user - req.user
+ * @param {Object} category - Category document
+ * @returns {boolean} True if allowed
+ */
+function canManageCategory(user, category) {
+  return category.userid === null || category.userid === undefined
+    ? auth.isPrivileged(user)
+    : auth.canAccess(user, category.userid);
+}
+
+/**
+ * Helper function: Validate the parent of a category.
+ * Only one level of nesting is supported: the parent must be a top-level category
+ * visible to the owner (a global parent for a global category).
+ * @param {string} parent - Parent category name
+ * @param {Object} owner - { userid, name } of the category being created or updated
+ * @returns {Promise<Object|null>} Error { id, message } or null if valid
+ */
+async function validateParent(parent, owner) {
+  if (parent === null) return null;
+  if (typeof parent !== 'string' || parent === owner.name) {
+    return { id: 44, message: 'parent must be the name of another top-level category' };
+  }
+  const visible = await getCategories(owner.userid === null ? undefined : owner.userid);
+  const found = visible.find(function (c) { return c.name === parent; });
+  if (!found || found.parent || (owner.userid === null && found.userid !== null)) {
+    return { id: 44, message: 'parent must be the name of another top-level category' };
+  }
+  return null;
+}
+
+/*
+  GET /api/categories?userid=123123
+  Returns the global default categories, plus the user's own categories if userid is given.
+*/
+app.get('/api/categories', async function (req, res) {
+  try {
+    let userid;
+    if (req.query.userid !== undefined) {
+      userid = Number(req.query.userid);
+      if (Number.isNaN(userid)) {
+        return sendError(res, 41, 'userid must be a Number', 400);
+      }
+      if (!auth.canAccess(req.user, userid)) {
+        return sendForbidden(res);
+      }
+    }
+
+    const categories = await getCategories(userid);
+    res.json(categories.map(formatCategory));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  POST /api/categories
+  Create a category. With a userid it is a custom category of that user,
+  without one it is a new global default (admins only).
+  - name must not clash with any category the owner can already use.
+  - parent (optional) nests it under a top-level category.
+  Cached reports of the affected users are invalidated (they list every category).
+*/
+app.post('/api/categories', async function (req, res) {
+  try {
+    const body = req.body;
+    const userid = body.userid === undefined ? null : body.userid;
+    const parent = body.parent === undefined ? null : body.parent;
+
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      return sendError(res, 40, 'name must be a non-empty String', 400);
+    }
+    const name = body.name.trim();
+
+    if (userid !== null && typeof userid !== 'number') {
+      return sendError(res, 41, 'userid must be a Number', 400);
+    }
+
+    // Global categories are managed by admins
+    if (userid === null ? !auth.isPrivileged(req.user) : !auth.canAccess(req.user, userid)) {
+      return sendForbidden(res);
+    }
+
+    if (userid !== null) {
+      if (!(await usersClient.userExists(userid))) {
+        return sendError(res, 42, 'User with this userid does not exist', 400);
+      }
+    }
+
+    // A global name must be unique across all users, a custom name across the globals and the user's own
+    const clash = await Category.exists(userid === null ? { name: name } : { name: name, userid: { $in: [null, userid] } });
+    if (clash) {
+      return sendError(res, 43, 'Category with this name already exists', 400);
+    }
+
+    const parentError = await validateParent(parent, { userid: userid, name: name });
+    if (parentError) {
+      return sendError(res, parentError.id, parentError.message, 400);
+    }
+
+    const saved = await new Category({ name: name, userid: userid, parent: parent }).save();
+    await Report.deleteMany(categoryScope(saved));
+    res.json(formatCategory(saved));
+  } catch (err) {
+    // Handle duplicate key error (MongoDB error code 11000)
+    if (err && err.code === 11000) {
+      return sendError(res, 43, 'Category with this name already exists', 400);
+    }
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  PATCH /api/categories/:id
+  Rename a category and/or change its parent (null makes it top-level).
+  Costs and child categories refer to categories by name, so a rename is applied to them too.
+  After a rename or a parent change the cached reports of the affected users are invalidated
+  (they list every category and count child categories toward the parent's budget).
+*/
+app.patch('/api/categories/:id', async function (req, res) {
+  try {
+    const body = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 45, 'Category id in URL must be a valid ObjectId', 400);
+    }
+
+    if (body.name === undefined && body.parent === undefined) {
+      return sendError(res, 47, 'At least one field is required: name, parent', 400);
+    }
+
+    if (body.name !== undefined && (typeof body.name !== 'string' || body.name.trim() === '')) {
+      return sendError(res, 40, 'name must be a non-empty String', 400);
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return sendError(res, 46, 'Category not found', 404);
+    }
+
+    if (!canManageCategory(req.user, category)) {
+      return sendForbidden(res);
+    }
+
+    const oldName = category.name;
+    const oldParent = category.parent || null;
+    const name = body.name !== undefined ? body.name.trim() : oldName;
+    const scope = categoryScope(category);
+
+    if (name !== oldName) {
+      const clash = await Category.exists(category.userid === null ? { name: name } : { name: name, userid: { $in: [null, category.userid] } });
+      if (clash) {
+        return sendError(res, 43, 'Category with this name already exists', 400);
+      }
+    }
+
+    if (body.parent !== undefined) {
+      const parentError = await validateParent(body.parent, { userid: category.userid, name: name });
+      if (parentError) {
+        return sendError(res, parentError.id, parentError.message, 400);
+      }
+      // One level of nesting: a category with children cannot become a child itself
+      if (body.parent !== null && await Category.exists(Object.assign({ parent: oldName }, scope))) {
+        return sendError(res, 49, 'Category has child categories', 400);
+      }
+      category.parent = body.parent;
+    }
+
+    category.name = name;
+    const saved = await category.save();
+
+    if (name !== oldName) {
+      await Cost.updateMany(Object.assign({ category: oldName }, scope), { $set: { category: name } });
+      await Category.updateMany(Object.assign({ parent: oldName }, scope), { $set: { parent: name } });
+    }
+    if (name !== oldName || (saved.parent || null) !== oldParent) {
+      await Report.deleteMany(scope);
+    }
+
+    res.json(formatCategory(saved));
+  } catch (err) {
+    // Handle duplicate key error (MongoDB error code 11000)
+    if (err && err.code === 11000) {
+      return sendError(res, 43, 'Category with this name already exists', 400);
+    }
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  DELETE /api/categories/:id
+  Delete a category that no cost uses and that has no child categories.
+  Cached reports of the affected users are invalidated (they list every category).
+*/
+app.delete('/api/categories/:id', async function (req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 45, 'Category id in URL must be a valid ObjectId', 400);
+    }
+
+    const category = await Category.findById(req.params.id).lean();
+    if (!category) {
+      return sendError(res, 46, 'Category not found', 404);
+    }
+
+    if (!canManageCategory(req.user, category)) {
+      return sendForbidden(res);
+    }
+
+    const scope = categoryScope(category);
+
+    if (await Cost.exists(Object.assign({ category: category.name }, scope))) {
+      return sendError(res, 48, 'Category is used by costs and cannot be deleted', 400);
+    }
+
+    if (await Category.exists(Object.assign({ parent: category.name }, scope))) {
+      return sendError(res, 49, 'Category has child categories', 400);
+    }
+
+    await Category.deleteOne({ _id: category._id });
+    await Report.deleteMany(scope);
+
+    res.json(formatCategory(category));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Build the JSON returned for a recurring cost definition.
+ * @param {Object} recurring - Recurring cost document
+ * @returns {Object} Definition fields including its MongoDB _id
+ */
+function formatRecurring(recurring) {
+  return {
+    _id: recurring._id,
+    description: recurring.description,
+    category: recurring.category,
+    userid: recurring.userid,
+    sum: recurring.sum,
+    currency: recurring.currency || DEFAULT_CURRENCY,
+    interval: recurring.interval,
+    startDate: recurring.startDate,
+    endDate: recurring.endDate,
+    status: recurring.status,
+    nextRun: recurring.status === 'active' || recurring.status === 'paused' ? recurring.nextRun : null
+  };
+}
+
+/*
+  POST /api/recurring
+  Create a recurring cost definition (rent, gym, tuition...).
+  - description, category, userid, sum, currency: same validation as POST /api/add
+  - interval: 'weekly', 'monthly' or 'yearly'
+  - startDate: first occurrence (defaults to now, cannot be in the past)
+  - endDate: last possible occurrence (optional)
+  The scheduler creates a Cost every time an occurrence comes due.
+*/
+app.post('/api/recurring', async function (req, res) {
+  try {
+    const body = req.body;
+
+    if (typeof body.userid === 'number' && !auth.canAccess(req.user, body.userid)) {
+      return sendForbidden(res);
+    }
+
+    const result = await validateCost({
+      description: body.description,
+      category: body.category,
+      userid: body.userid,
+      sum: body.sum,
+      currency: body.currency
+    }, false);
+    if (result.error) {
+      return sendError(res, result.error.id, result.error.message, 400);
+    }
+
+    if (['weekly', 'monthly', 'yearly'].indexOf(body.interval) === -1) {
+      return sendError(res, 50, 'interval must be one of: weekly, monthly, yearly', 400);
+    }
+
+    const now = new Date();
+    const startDate = body.startDate ? new Date(body.startDate) : now;
+    if (isNaN(startDate.getTime()) || startDate.getTime() < now.getTime()) {
+      return sendError(res, 51, 'startDate must be a valid Date that is not in the past', 400);
+    }
+
+    const endDate = body.endDate ? new Date(body.endDate) : null;
+    if (endDate && (isNaN(endDate.getTime()) || endDate.getTime() < startDate.getTime())) {
+      return sendError(res, 52, 'endDate must be a valid Date that is not before startDate', 400);
+    }
+
+    const saved = await new RecurringCost({
+      description: result.values.description,
+      category: result.values.category,
+      userid: result.values.userid,
+      sum: result.values.sum,
+      currency: result.values.currency,
+      interval: body.interval,
+      startDate: startDate,
+      endDate: endDate,
+      status: 'active',
+      occurrences: 0,
+      nextRun: startDate,
+      createdAt: now
+    }).save();
+
+    res.json(formatRecurring(saved));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/recurring?userid=123123&status=active
+  List recurring cost definitions, optionally filtered by userid and status.
+*/
+app.get('/api/recurring', async function (req, res) {
+  try {
+    const filter = {};
+
+    if (req.query.userid !== undefined) {
+      filter.userid = Number(req.query.userid);
+      if (Number.isNaN(filter.userid)) {
+        return sendError(res, 4, 'userid must be a Number', 400);
+      }
+    }
+
+    // Callers that are not admins only list their own definitions
+    if (!auth.isPrivileged(req.user)) {
+      if (filter.userid !== undefined && filter.userid !== req.user.id) {
+        return sendForbidden(res);
+      }
+      filter.userid = req.user.id;
+    }
+
+    if (req.query.status !== undefined) {
+      filter.status = String(req.query.status);
+    }
+
+    const list = await RecurringCost.find(filter).sort({ createdAt: 1 }).lean();
+    res.json(list.map(formatRecurring));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Change the status of a recurring cost definition.
+ * Shared by the pause, resume and cancel endpoints.
+ * @param {Object} req - Express request object (params.id is the definition _id)
+ * @param {Object} res - Express response object
+ * @param {Array} fromStatuses - Statuses the change is allowed from
+ * @param {string} toStatus - New status
+ */
+async function changeRecurringStatus(req, res, fromStatuses, toStatus) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 53, 'Recurring cost id in URL must be a valid ObjectId', 400);
+    }
+
+    const recurring = await RecurringCost.findById(req.params.id);
+    if (!recurring) {
+      return sendError(res, 54, 'Recurring cost not found', 404);
+    }
+
+    if (!auth.canAccess(req.user, recurring.userid)) {
+      return sendForbidden(res);
+    }
+
+    if (fromStatuses.indexOf(recurring.status) === -1) {
+      return sendError(res, 55, 'Cannot change status from ' + recurring.status + ' to ' + toStatus, 400);
+    }
+
+    // Occurrences missed while paused are skipped, not caught up
+    if (toStatus === 'active') {
+      const n = scheduler.firstOccurrenceFrom(recurring, new Date());
+      recurring.occurrences = n;
+      recurring.nextRun = scheduler.occurrenceDate(recurring.startDate, recurring.interval, n);
+    }
+
+    recurring.status = toStatus;
+    const saved = await recurring.save();
+    res.json(formatRecurring(saved));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+}
+
+/*
+  POST /api/recurring/:id/pause
+  Stop creating costs until the definition is resumed.
+*/
+app.post('/api/recurring/:id/pause', function (req, res) {
+  return changeRecurringStatus(req, res, ['active'], 'paused');
+});
+
+/*
+  POST /api/recurring/:id/resume
+  Resume a paused definition from its next occurrence.
+*/
+app.post('/api/recurring/:id/resume', function (req, res) {
+  return changeRecurringStatus(req, res, ['paused'], 'active');
+});
+
+/*
+  POST /api/recurring/:id/cancel
+  Stop the definition for good. Costs already created are kept.
+*/
+app.post('/api/recurring/:id/cancel', function (req, res) {
+  return changeRecurringStatus(req, res, ['active', 'paused'], 'cancelled');
+});
+
+/*
+  GET /api/rates?currency=USD
+  List the exchange rates (optionally of one currency), oldest first.
+  Each rate is the value of 1 unit of the currency in the default currency.
+*/
+app.get('/api/rates', async function (req, res) {
+  try {
+    const filter = {};
+    if (req.query.currency !== undefined) {
+      filter.currency = String(req.query.currency).toUpperCase();
+    }
+
+    const rates = await Rate.find(filter, { _id: 1, currency: 1, rate: 1, date: 1 }).sort({ currency: 1, date: 1 }).lean();
+    res.json({ base: DEFAULT_CURRENCY, rates: rates });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  POST /api/rates
+  Set the exchange rate of a currency from a date on (defaults to now). Admins only.
+  A rate for the same currency and date is replaced.
+  Cached reports may contain converted sums, so all of them are invalidated.
+*/
+app.post('/api/rates', auth.requireRole('admin', 'service'), async function (req, res) {
+  try {
+    const body = req.body;
+
+    if (!currency.isCurrencyCode(body.currency) || body.currency === DEFAULT_CURRENCY) {
+      return sendError(res, 60, 'currency must be an ISO 4217 code other than the base currency ' + DEFAULT_CURRENCY, 400);
+    }
+
+    if (typeof body.rate !== 'number' || !(body.rate > 0)) {
+      return sendError(res, 61, 'rate must be a positive Number', 400);
+    }
+
+    const date = body.date ? new Date(body.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return sendError(res, 62, 'date must be a valid Date if provided', 400);
+    }
+
+    const saved = await Rate.findOneAndUpdate(
+      { currency: body.currency, date: date },
+      { $set: { currency: body.currency, rate: body.rate, date: date } },
+      { upsert: true, returnDocument: 'after' }
+    ).lean();
+
+    await Report.deleteMany({});
+
+    res.json({ _id: saved._id, currency: saved.currency, rate: saved.rate, date: saved.date });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  DELETE /api/rates/:id
+  Delete an exchange rate (admins only). Cached reports are invalidated like in POST /api/rates.
+*/
+app.delete('/api/rates/:id', auth.requireRole('admin', 'service'), async function (req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 63, 'Rate id in URL must be a valid ObjectId', 400);
+    }
+
+    const deleted = await Rate.findByIdAndDelete(req.params.id).lean();
+    if (!deleted) {
+      return sendError(res, 64, 'Rate not found', 404);
+    }
+
+    await Report.deleteMany({});
+
+    res.json({ _id: deleted._id, currency: deleted.currency, rate: deleted.rate, date: deleted.date });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Build the JSON returned for a user's date policy.
+ * @param {number} userid - User ID
+ * @param {Object} [policy] - Policy document of the user
+ * @returns {Object} { userid, backdateDays, source: user|default }
+ */
+function formatPolicy(userid, policy) {
+  return { userid: userid, backdateDays: policyDays(policy), source: policy ? 'user' : 'default' };
+}
+
+/*
+  GET /api/policy?id=123123
+  Date policy of a user: how many days in the past the createdAt of new costs may be.
+  source is user for a policy set with PUT /api/policy/:userid, default for BACKDATE_DAYS.
+*/
+app.get('/api/policy', async function (req, res) {
+  try {
+    const userid = Number(req.query.id);
+    if (req.query.id === undefined || Number.isNaN(userid)) {
+      return sendError(res, 120, 'Query param id must be a Number', 400);
+    }
+
+    if (!auth.canAccess(req.user, userid)) {
+      return sendForbidden(res);
+    }
+
+    res.json(formatPolicy(userid, await Policy.findOne({ userid: userid }).lean()));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  PUT /api/policy/:userid
+  Set the date policy of a user: { backdateDays } (0-365). Admins only.
+  backdateDays: null removes the user's policy, so BACKDATE_DAYS applies again.
+*/
+app.put('/api/policy/:userid', auth.requireRole('admin', 'service'), async function (req, res) {
+  try {
+    const userid = Number(req.params.userid);
+    if (Number.isNaN(userid)) {
+      return sendError(res, 120, 'userid must be a Number', 400);
+    }
+
+    const days = req.body.backdateDays;
+    if (days === null) {
+      await Policy.deleteOne({ userid: userid });
+      return res.json(formatPolicy(userid, null));
+    }
+
+    if (!Number.isInteger(days) || days < 0 || days > MAX_BACKDATE_DAYS) {
+      return sendError(res, 121, 'backdateDays must be a whole Number between 0 and ' + MAX_BACKDATE_DAYS + ', or null', 400);
+    }
+
+    const saved = await Policy.findOneAndUpdate(
+      { userid: userid },
+      { $set: { userid: userid, backdateDays: days } },
+      { upsert: true, returnDocument: 'after' }
+    ).lean();
+
+    res.json(formatPolicy(userid, saved));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Read the target currency of a report from the query string.
+ * @param {Object} query - req.query (optional "currency", defaults to DEFAULT_CURRENCY)
+ * @returns {string|null} Upper-case ISO 4217 code, or null if invalid
+ */
+function reportCurrency(query) {
+  const code = query.currency === undefined ? DEFAULT_CURRENCY : String(query.currency).toUpperCase();
+  return currency.isCurrencyCode(code) ? code : null;
+}
+
+/**
+ * Helper function: Choose the output format of a report.
+ * The format query param (json, csv, html) wins; otherwise the Accept header is negotiated.
+ * @param {Object} req - Express request object
+ * @returns {string|null} 'json', 'csv' or 'html', or null if none is acceptable
+ */
+function reportFormat(req) {
+  if (req.query.format !== undefined) {
+    const format = String(req.query.format).toLowerCase();
+    return ['json', 'csv', 'html'].indexOf(format) === -1 ? null : format;
+  }
+  const accepted = req.accepts(['application/json', 'text/csv', 'text/html']);
+  if (accepted === 'text/csv') return 'csv';
+  if (accepted === 'text/html') return 'html';
+  return accepted ? 'json' : null;
+}
+
+// Hits and misses of the cached reports, by kind (GET /metrics)
+const reportCacheRequests = metrics.counter('report_cache_requests_total', 'Lookups of cached reports, by kind (monthly, yearly, range) and result (hit, miss)');
+
+/**
+ * Helper function: Look up a cached report (Computed Design Pattern) and count the hit or miss.
+ * A report cached with an older layout is removed and counts as a miss, so it is rebuilt and cached again.
+ * @param {string} kind - 'monthly', 'yearly' or 'range'
+ * @param {Object} filter - Report query
+ * @returns {Promise<Object|null>} Report JSON or null if not cached
+ */
+async function findCachedReport(kind, filter) {
+  const cached = await Report.findOne(filter).lean();
+  if (cached && !Report.isCurrent(cached)) {
+    await Report.deleteOne({ _id: cached._id });
+  }
+  if (!cached || !cached.report || !Report.isCurrent(cached)) {
+    reportCacheRequests.inc({ kind: kind, result: 'miss' });
+    return null;
+  }
+
+  reportCacheRequests.inc({ kind: kind, result: 'hit' });
+  // Reports cached before multi-currency support are in the default currency
+  if (!cached.report.currency) cached.report.currency = DEFAULT_CURRENCY;
+  return cached.report;
+}
+
+/**
+ * Helper function: Send a report in the chosen format.
+ * CSV and HTML are rendered from the same JSON, so cached reports can be exported too.
+ * @param {Object} res - Express response object
+ * @param {Object} report - Report JSON
+ * @param {string} format - 'json', 'csv' or 'html'
+ */
+function sendReport(res, report, format) {
+  res.vary('Accept');
+  if (format === 'csv') {
+    res.attachment(reportExport.fileName(report) + '.csv');
+    res.type('text/csv; charset=utf-8');
+    return res.send(reportExport.toCsv(report));
+  }
+  if (format === 'html') {
+    res.type('html');
+    return res.send(reportExport.toHtml(report));
+  }
+  return res.json(report);
+}
+
+/**
+ * Helper function: Convert the sums of costs to one currency.
+ * Each cost is converted with the exchange rate in effect on its createdAt.
+ * Costs stored without a currency are in DEFAULT_CURRENCY. Rates are loaded only if needed.
+ * @param {Array} costs - Cost documents (lean)
+ * @param {string} target - Currency to convert to
+ * @returns {Promise<Object>} { costs } with converted copies, or { error: { id, message } } if a rate is missing
+ */
+async function convertCosts(costs, target) {
+  const needed = costs.some(function (c) { return (c.currency || DEFAULT_CURRENCY) !== target; });
+  if (!needed) return { costs: costs };
+
+  const convert = currency.createConverter(await Rate.find({}).lean(), DEFAULT_CURRENCY);
+  const converted = [];
+  for (let i = 0; i < costs.length; i++) {
+    const from = costs[i].currency || DEFAULT_CURRENCY;
+    const sum = convert(costs[i].sum, from, target, costs[i].createdAt);
+    if (sum === null) {
+      return { error: { id: 25, message: 'No exchange rate from ' + from + ' to ' + target + ' on ' + new Date(costs[i].createdAt).toISOString() } };
+    }
+    converted.push(Object.assign({}, costs[i], { sum: sum }));
+  }
+  return { costs: converted };
+}
+
+/**
+ * Helper function: Compute spent vs. limit of a user's budgets for one month.
+ * A budget of a parent category also counts the costs of its child categories.
+ * Costs are converted to the currency of each budget.
+ * @param {Array} budgets - Budget documents of one user and month
+ * @param {Array} costs - Cost documents of that user and month (not converted)
+ * @param {Array} categories - Category documents available to the user
+ * @returns {Promise<Object>} { budgets: [{ category, limit, currency, spent, percent, over }] } or { error }
+ */
+async function budgetStatus(budgets, costs, categories) {
+  const parentOf = {};
+  categories.forEach(function (c) {
+    parentOf[c.name] = c.parent;
+  });
+
+  // Costs converted once per budget currency
+  const convertedBy = {};
+  const status = [];
+
+  for (let i = 0; i < budgets.length; i++) {
+    const b = budgets[i];
+    const code = b.currency || DEFAULT_CURRENCY;
+
+    if (!convertedBy[code]) {
+      const converted = await convertCosts(costs, code);
+      if (converted.error) return converted;
+      convertedBy[code] = converted.costs;
+    }
+
+    let spent = 0;
+    convertedBy[code].forEach(function (c) {
+      if (c.category === b.category || parentOf[c.category] === b.category) spent += c.sum;
+    });
+    spent = Math.round(spent * 100) / 100;
+
+    status.push({
+      category: b.category,
+      limit: b.limit,
+      currency: code,
+      spent: spent,
+      percent: b.limit > 0 ? Math.round((spent / b.limit) * 1000) / 10 : null,
+      over: spent > b.limit
+    });
+  }
+
+  return { budgets: status };
+}
+
+/**
+ * Helper function: Budgets that are over their limit after a cost was added.
+ * Checks the budget of the cost's category and of its parent category in the cost's month.
+ * Never fails: the cost is already saved, so errors just mean no warning.
+ * @param {Object} cost - Saved cost document
+ * @returns {Promise<Array>} Status of the exceeded budgets (see budgetStatus)
+ */
+async function exceededBudgets(cost) {
+  try {
+    const d = new Date(cost.createdAt);
+    const year = d.getFullYear();
+    const month = d.getMonth() + 1;
+
+    const categories = await getCategories(cost.userid);
+    const own = categories.find(function (c) { return c.name === cost.category; });
+    const names = own && own.parent ? [cost.category, own.parent] : [cost.category];
+
+    const budgets = await Budget.find({ userid: cost.userid, year: year, month: month, category: { $in: names } }).lean();
+    if (budgets.length === 0) return [];
+
+    const costs = await Cost.find(
+      { userid: cost.userid, createdAt: { $gte: new Date(year, month - 1, 1), $lt: new Date(year, month, 1) }, status: ACTUAL_COST },
+      { _id: 0, category: 1, sum: 1, currency: 1, createdAt: 1 }
+    ).lean();
+
+    const status = await budgetStatus(budgets, costs, categories);
+    if (status.error) return [];
+    return status.budgets.filter(function (b) { return b.over; });
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Helper function: Load and convert a user's costs of a month and of the history before it
+ * (see forecast.js).
+ * @param {number} userid - User ID
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {string} target - Currency to convert to
+ * @returns {Promise<Object>} { history, costs } with converted costs, or { error } if a rate is missing
+ */
+async function loadMonthWithHistory(userid, year, month, target) {
+  const monthStart = new Date(year, month - 1, 1);
+  const costs = await Cost.find(
+    { userid: userid, createdAt: { $gte: forecast.historyStart(year, month), $lt: new Date(year, month, 1) }, status: ACTUAL_COST },
+    { description: 1, category: 1, sum: 1, currency: 1, createdAt: 1 }
+  ).lean();
+
+  const converted = await convertCosts(costs, target);
+  if (converted.error) return converted;
+  return {
+    history: converted.costs.filter(function (c) { return c.createdAt < monthStart; }),
+    costs: converted.costs.filter(function (c) { return c.createdAt >= monthStart; })
+  };
+}
+
+/**
+ * Helper function: Check whether a cost that was just added is anomalous (see GET /api/anomalies).
+ * The usual sums of the cost's category are computed by MongoDB per currency; other currencies
+ * are converted with the rates in effect on the cost's date.
+ * Never fails: the cost is already saved, so errors just mean no hint.
+ * @param {Object} cost - Saved cost document
+ * @returns {Promise<Object|null>} { reason, usual, ratio, score } (usual in the cost's currency) or null
+ */
+async function unusualCost(cost) {
+  try {
+    const d = new Date(cost.createdAt);
+    const target = cost.currency || DEFAULT_CURRENCY;
+    const groups = await Cost.aggregate([
+      {
+        $match: {
+          userid: cost.userid,
+          category: cost.category,
+          createdAt: { $gte: forecast.historyStart(d.getFullYear(), d.getMonth() + 1), $lt: new Date(d.getFullYear(), d.getMonth(), 1) },
+          status: ACTUAL_COST
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$currency', DEFAULT_CURRENCY] },
+          count: { $sum: 1 },
+          mean: { $avg: '$sum' },
+          stddev: { $stdDevPop: '$sum' }
+        }
+      }
+    ]);
+    if (groups.length === 0) return null;
+
+    let convert = null;
+    const converted = [];
+    for (let i = 0; i < groups.length; i++) {
+      const g = groups[i];
+      if (g._id === target) {
+        converted.push(g);
+        continue;
+      }
+      if (!convert) convert = currency.createConverter(await Rate.find({}).lean(), DEFAULT_CURRENCY);
+      const mean = convert(g.mean, g._id, target, cost.createdAt);
+      const stddev = convert(g.stddev, g._id, target, cost.createdAt);
+      if (mean === null || stddev === null) return null;
+      converted.push({ count: g.count, mean: mean, stddev: stddev });
+    }
+
+    const stats = {};
+    stats[cost.category] = forecast.mergeStats(converted);
+    return forecast.anomaly(cost, stats);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Helper function: Build the JSON returned for a single budget.
+ * @param {Object} budget - Budget document
+ * @returns {Object} Budget fields including its MongoDB _id
+ */
+function formatBudget(budget) {
+  return {
+    _id: budget._id,
+    userid: budget.userid,
+    category: budget.category,
+    year: budget.year,
+    month: budget.month,
+    limit: budget.limit,
+    currency: budget.currency
+  };
+}
+
+/**
+ * Helper function: Remove the cached monthly report of a budget's month,
+ * since monthly reports include the budget section.
+ * @param {Object} budget - Budget document
+ */
+async function invalidateBudgetReport(budget) {
+  await Report.deleteMany({ userid: budget.userid, year: budget.year, month: budget.month });
+}
+
+/*
+  GET /api/budgets?userid=123123&year=2026&month=3
+  List budgets, optionally filtered by userid, year and month.
+*/
+app.get('/api/budgets', async function (req, res) {
+  try {
+    const filter = {};
+    const params = ['userid', 'year', 'month'];
+    for (let i = 0; i < params.length; i++) {
+      if (req.query[params[i]] !== undefined) {
+        filter[params[i]] = Number(req.query[params[i]]);
+        if (Number.isNaN(filter[params[i]])) {
+          return sendError(res, 70, 'Query params must be Numbers: userid, year, month', 400);
+        }
+      }
+    }
+
+    // Callers that are not admins only list their own budgets
+    if (!auth.isPrivileged(req.user)) {
+      if (filter.userid !== undefined && filter.userid !== req.user.id) {
+        return sendForbidden(res);
+      }
+      filter.userid = req.user.id;
+    }
+
+    const budgets = await Budget.find(filter).sort({ year: 1, month: 1, category: 1 }).lean();
+    res.json(budgets.map(formatBudget));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  POST /api/budgets
+  Create a monthly budget: { userid, category, year, month, limit, currency? }.
+  currency defaults to the default currency. One budget per user, category and month.
+*/
+app.post('/api/budgets', async function (req, res) {
+  try {
+    const body = req.body;
+    const code = body.currency === undefined ? DEFAULT_CURRENCY : body.currency;
+
+    if (typeof body.userid !== 'number') {
+      return sendError(res, 70, 'userid must be a Number', 400);
+    }
+
+    if (!auth.canAccess(req.user, body.userid)) {
+      return sendForbidden(res);
+    }
+
+    if (typeof body.category !== 'string') {
+      return sendError(res, 72, 'category must be a String', 400);
+    }
+
+    if (!Number.isInteger(body.year)) {
+      return sendError(res, 73, 'year must be a Number', 400);
+    }
+
+    if (!Number.isInteger(body.month) || body.month < 1 || body.month > 12) {
+      return sendError(res, 74, 'month must be between 1 and 12', 400);
+    }
+
+    if (typeof body.limit !== 'number' || !(body.limit > 0)) {
+      return sendError(res, 75, 'limit must be a positive Number', 400);
+    }
+
+    if (!currency.isCurrencyCode(code)) {
+      return sendError(res, 76, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    if (!(await usersClient.userExists(body.userid))) {
+      return sendError(res, 71, 'User with this userid does not exist', 400);
+    }
+
+    const names = (await getCategories(body.userid)).map(function (c) { return c.name; });
+    if (names.indexOf(body.category) === -1) {
+      return sendError(res, 72, 'category must be one of: ' + names.join(', '), 400);
+    }
+
+    const saved = await new Budget({
+      userid: body.userid,
+      category: body.category,
+      year: body.year,
+      month: body.month,
+      limit: body.limit,
+      currency: code
+    }).save();
+
+    await invalidateBudgetReport(saved);
+
+    res.json(formatBudget(saved));
+  } catch (err) {
+    // Handle duplicate key error (MongoDB error code 11000)
+    if (err && err.code === 11000) {
+      return sendError(res, 77, 'Budget for this user, category and month already exists', 400);
+    }
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  PATCH /api/budgets/:id
+  Change the limit and/or currency of a budget.
+*/
+app.patch('/api/budgets/:id', async function (req, res) {
+  try {
+    const body = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 78, 'Budget id in URL must be a valid ObjectId', 400);
+    }
+
+    if (body.limit === undefined && body.currency === undefined) {
+      return sendError(res, 80, 'At least one field is required: limit, currency', 400);
+    }
+
+    if (body.limit !== undefined && (typeof body.limit !== 'number' || !(body.limit > 0))) {
+      return sendError(res, 75, 'limit must be a positive Number', 400);
+    }
+
+    if (body.currency !== undefined && !currency.isCurrencyCode(body.currency)) {
+      return sendError(res, 76, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    const budget = await Budget.findById(req.params.id);
+    if (!budget) {
+      return sendError(res, 79, 'Budget not found', 404);
+    }
+
+    if (!auth.canAccess(req.user, budget.userid)) {
+      return sendForbidden(res);
+    }
+
+    if (body.limit !== undefined) budget.limit = body.limit;
+    if (body.currency !== undefined) budget.currency = body.currency;
+    const saved = await budget.save();
+
+    await invalidateBudgetReport(saved);
+
+    res.json(formatBudget(saved));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  DELETE /api/budgets/:id
+  Delete a budget.
+*/
+app.delete('/api/budgets/:id', async function (req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 78, 'Budget id in URL must be a valid ObjectId', 400);
+    }
+
+    const deleted = await Budget.findById(req.params.id).lean();
+    if (!deleted) {
+      return sendError(res, 79, 'Budget not found', 404);
+    }
+
+    if (!auth.canAccess(req.user, deleted.userid)) {
+      return sendForbidden(res);
+    }
+
+    await Budget.deleteOne({ _id: deleted._id });
+
+    await invalidateBudgetReport(deleted);
+
+    res.json(formatBudget(deleted));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Build the report JSON in the required format.
+ * Groups costs by category and extracts the day of month for each cost.
+ * @param {number} userid - User ID
+ * @param {number} year - Year for the report
+ * @param {number} month - Month for the report (1-12)
+ * @param {Array} costs - Array of cost documents
+ * @param {Array} categories - Category names available to the user, in report order
+ * @param {string} currencyCode - Currency of the sums
+ * @returns {Object} Report object with userid, year, month, currency and grouped costs
+ */
+function buildReport(userid, year, month, costs, categories, currencyCode) {
+  return {
+    userid: userid,
+    year: year,
+    month: month,
+    currency: currencyCode,
+    costs: groupByCategory(costs, categories, reportItem)
+  };
+}
+
+/**
+ * Helper function: Build the item of a cost in a monthly report.
+ * @param {Object} c - Cost document
+ * @returns {Object} { sum, description, day }
+ */
+function reportItem(c) {
+  return {
+    sum: c.sum,
+    description: c.description,
+    day: new Date(c.createdAt).getDate()
+  };
+}
+
+/**
+ * Helper function: Group the items of a monthly report by category.
+ * Costs of categories that are not in the list are left out.
+ * @param {Array} costs - Array of cost documents
+ * @param {Array} categories - Category names, in report order
+ * @param {Function} toItem - Builds the report item of a cost (called with the cost and its index)
+ * @returns {Array} [{ <category>: [items] }] in the order of the categories
+ */
+function groupByCategory(costs, categories, toItem) {
+  // Initialize grouped costs object with all the categories
+  const grouped = {};
+  categories.forEach(function (name) {
+    grouped[name] = [];
+  });
+
+  for (let i = 0; i < costs.length; i++) {
+    if (grouped[costs[i].category]) {
+      grouped[costs[i].category].push(toItem(costs[i], i));
+    }
+  }
+
+  return categories.map(function (name) {
+    const entry = {};
+    entry[name] = grouped[name];
+    return entry;
+  });
+}
+
+/*
+  GET /api/report?id=123123&year=2025&month=11&currency=USD
+  Computed Design Pattern:
+  - If report requested for a past month and cached in DB => return cached.
+  - Otherwise compute from costs and (if past) save it.
+  currency (optional) converts every sum; only reports in the default currency are cached.
+  budgets lists spent vs. limit (in the budget's currency) for every budget of the month.
+  planned lists the planned costs of the month (not yet actual) like costs; they are not in costs or budgets.
+  Output format: JSON by default, CSV or printable HTML with format=csv|html or the Accept header
+  (the same applies to the yearly and range reports).
+*/
+app.get('/api/report', async function (req, res) {
+  try {
+    const userid = Number(req.query.id);
+    const year = Number(req.query.year);
+    const month = Number(req.query.month);
+
+    if (Number.isNaN(userid) || Number.isNaN(year) || Number.isNaN(month)) {
+      return sendError(res, 20, 'Query params must be Numbers: id, year, month', 400);
+    }
+
+    if (!auth.canAccess(req.user, userid)) {
+      return sendForbidden(res);
+    }
+
+    if (month < 1 || month > 12) {
+      return sendError(res, 21, 'month must be between 1 and 12', 400);
+    }
+
+    const target = reportCurrency(req.query);
+    if (!target) {
+      return sendError(res, 24, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    const format = reportFormat(req);
+    if (!format) {
+      return sendError(res, 26, 'format must be one of: json, csv, html', req.query.format !== undefined ? 400 : 406);
+    }
+
+    // Determine if the requested month is in the past
+    const now = new Date();
+    const isPastMonth = (year < now.getFullYear()) || (year === now.getFullYear() && month < (now.getMonth() + 1));
+    const useCache = isPastMonth && target === DEFAULT_CURRENCY;
+
+    // Computed Design Pattern: If report requested for a past month and cached in DB => return cached
+    if (useCache) {
+      const cached = await findCachedReport('monthly', { userid: userid, year: year, month: month });
+      if (cached) {
+        return sendReport(res, cached, format);
+      }
+    }
+
+    // Calculate the start and end dates for the requested month
+    // Start: first day of the month at 00:00:00
+    // End: first day of the next month at 00:00:00 (exclusive)
+    const start = new Date(year, month - 1, 1, 0, 0, 0, 0);
+    const end = new Date(year, month, 1, 0, 0, 0, 0);
+
+    // Query all costs for this user within the specified month
+    const costs = await Cost.find(
+      { userid: userid, createdAt: { $gte: start, $lt: end } },
+      { _id: 0, description: 1, category: 1, userid: 1, sum: 1, currency: 1, createdAt: 1, status: 1 }
+    ).lean();
+
+    const converted = await convertCosts(costs, target);
+    if (converted.error) {
+      return sendError(res, converted.error.id, converted.error.message, 400);
+    }
+
+    /**
+     * Helper function: Check if a cost is planned (not yet actual).
+     * @param {Object} c - Cost document
+     * @returns {boolean} True if planned
+     */
+    function isPlanned(c) {
+      return c.status === 'planned';
+    }
+
+    // Build the report from the actual costs, grouped by the categories available to the user.
+    // Planned costs are listed separately.
+    const categoryDocs = await getCategories(userid);
+    const categories = categoryDocs.map(function (c) { return c.name; });
+    const report = buildReport(userid, year, month, converted.costs.filter(function (c) { return !isPlanned(c); }), categories, target);
+    report.planned = groupByCategory(converted.costs.filter(isPlanned), categories, reportItem);
+
+    // Budget section: spent vs. limit of every budget of this month
+    const budgets = await Budget.find({ userid: userid, year: year, month: month }).sort({ category: 1 }).lean();
+    const status = await budgetStatus(budgets, costs.filter(function (c) { return !isPlanned(c); }), categoryDocs);
+    if (status.error) {
+      return sendError(res, status.error.id, status.error.message, 400);
+    }
+    report.budgets = status.budgets;
+
+    // Computed Design Pattern: If past month, save the computed report to cache for future requests
+    if (useCache) {
+      try {
+        await new Report({
+          userid: userid,
+          year: year,
+          month: month,
+          report: report,
+          createdAt: new Date()
+        }).save();
+      } catch (e) {
+        // Ignore duplicate cache errors (if report already exists)
+      }
+    }
+
+    return sendReport(res, report, format);
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Parse a "YYYY-MM-DD" day into a Date at local midnight
+ * (same time zone as the monthly report boundaries).
+ * @param {string} value - Day string from the query
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const d = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 0, 0, 0, 0);
+  // Reject overflowing days such as 2025-02-31
+  if (d.getMonth() !== Number(match[2]) - 1) return null;
+  return d;
+}
+
+/**
+ * Helper function: Build the totals of a period (yearly or custom range reports).
+ * Costs are summed per category and per month; every month between start and end
+ * is listed even when it has no costs.
+ * @param {Date} start - Start of the period (inclusive)
+ * @param {Date} end - End of the period (exclusive)
+ * @param {Array} costs - Array of cost documents inside the period
+ * @param {Array} categories - Category names available to the user, in report order
+ * @returns {Object} { months, costs, total } where costs are per-category totals ([{ food: 10 }, ...])
+ */
+function buildPeriodTotals(start, end, costs, categories) {
+  /**
+   * Create a totals object with every category set to 0.
+   * @returns {Object} Totals per category
+   */
+  function emptyTotals() {
+    const totals = {};
+    categories.forEach(function (name) {
+      totals[name] = 0;
+    });
+    return totals;
+  }
+
+  /**
+   * Convert a totals object to the report array format ([{ food: 10 }, ...]).
+   * @param {Object} totals - Totals per category
+   * @returns {Array} Array of single-key objects
+   */
+  function toArray(totals) {
+    return Object.keys(totals).map(function (category) {
+      const entry = {};
+      entry[category] = totals[category];
+      return entry;
+    });
+  }
+
+  // One bucket per month in the period, keyed by "year-month"
+  const months = [];
+  const byKey = {};
+  for (let d = new Date(start.getFullYear(), start.getMonth(), 1); d < end; d = new Date(d.getFullYear(), d.getMonth() + 1, 1)) {
+    const bucket = { year: d.getFullYear(), month: d.getMonth() + 1, totals: emptyTotals(), total: 0 };
+    byKey[bucket.year + '-' + bucket.month] = bucket;
+    months.push(bucket);
+  }
+
+  const totals = emptyTotals();
+  let total = 0;
+
+  for (let i = 0; i < costs.length; i++) {
+    const c = costs[i];
+    const created = new Date(c.createdAt);
+    const bucket = byKey[created.getFullYear() + '-' + (created.getMonth() + 1)];
+    if (!bucket || totals[c.category] === undefined) continue;
+
+    bucket.totals[c.category] += c.sum;
+    bucket.total += c.sum;
+    totals[c.category] += c.sum;
+    total += c.sum;
+  }
+
+  return {
+    months: months.map(function (m) {
+      return { year: m.year, month: m.month, costs: toArray(m.totals), total: m.total };
+    }),
+    costs: toArray(totals),
+    total: total
+  };
+}
+
+/*
+  GET /api/report/yearly?id=123123&year=2025&currency=USD
+  Per-category totals, per-month breakdown and grand total of one year.
+  Computed Design Pattern: past years are cached in the reports collection (default currency only).
+*/
+app.get('/api/report/yearly', async function (req, res) {
+  try {
+    const userid = Number(req.query.id);
+    const year = Number(req.query.year);
+
+    if (Number.isNaN(userid) || Number.isNaN(year)) {
+      return sendError(res, 20, 'Query params must be Numbers: id, year', 400);
+    }
+
+    if (!auth.canAccess(req.user, userid)) {
+      return sendForbidden(res);
+    }
+
+    const target = reportCurrency(req.query);
+    if (!target) {
+      return sendError(res, 24, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    const format = reportFormat(req);
+    if (!format) {
+      return sendError(res, 26, 'format must be one of: json, csv, html', req.query.format !== undefined ? 400 : 406);
+    }
+
+    const useCache = year < new Date().getFullYear() && target === DEFAULT_CURRENCY;
+
+    if (useCache) {
+      const cached = await findCachedReport('yearly', { userid: userid, kind: 'yearly', year: year });
+      if (cached) {
+        return sendReport(res, cached, format);
+      }
+    }
+
+    const start = new Date(year, 0, 1, 0, 0, 0, 0);
+    const end = new Date(year + 1, 0, 1, 0, 0, 0, 0);
+
+    const costs = await Cost.find(
+      { userid: userid, createdAt: { $gte: start, $lt: end }, status: ACTUAL_COST },
+      { _id: 0, category: 1, sum: 1, currency: 1, createdAt: 1 }
+    ).lean();
+
+    const converted = await convertCosts(costs, target);
+    if (converted.error) {
+      return sendError(res, converted.error.id, converted.error.message, 400);
+    }
+
+    const categories = (await getCategories(userid)).map(function (c) { return c.name; });
+    const totals = buildPeriodTotals(start, end, converted.costs, categories);
+    const report = {
+      userid: userid,
+      year: year,
+      currency: target,
+      months: totals.months,
+      costs: totals.costs,
+      total: totals.total
+    };
+
+    if (useCache) {
+      try {
+        await new Report({
+          userid: userid,
+          kind: 'yearly',
+          year: year,
+          report: report,
+          createdAt: new Date()
+        }).save();
+      } catch (e) {
+        // Ignore duplicate cache errors (if report already exists)
+      }
+    }
+
+    return sendReport(res, report, format);
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/report/range?id=123123&from=2025-01-15&to=2025-03-31&currency=USD
+  Same output as the yearly report for a custom range of days (both days inclusive).
+  Computed Design Pattern: ranges that ended in the past are cached in the reports collection (default currency only).
+*/
+app.get('/api/report/range', async function (req, res) {
+  try {
+    const userid = Number(req.query.id);
+    if (Number.isNaN(userid)) {
+      return sendError(res, 20, 'Query param id must be a Number', 400);
+    }
+
+    if (!auth.canAccess(req.user, userid)) {
+      return sendForbidden(res);
+    }
+
+    const from = parseDay(req.query.from);
+    const to = parseDay(req.query.to);
+    if (!from || !to) {
+      return sendError(res, 22, 'Query params from and to must be Dates in YYYY-MM-DD format', 400);
+    }
+
+    if (from > to) {
+      return sendError(res, 23, 'from must not be after to', 400);
+    }
+
+    // "to" is inclusive, so the range ends at the start of the next day
+    const start = from;
+    const end = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1, 0, 0, 0, 0);
+    const target = reportCurrency(req.query);
+    if (!target) {
+      return sendError(res, 24, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    const format = reportFormat(req);
+    if (!format) {
+      return sendError(res, 26, 'format must be one of: json, csv, html', req.query.format !== undefined ? 400 : 406);
+    }
+
+    const useCache = end.getTime() <= Date.now() && target === DEFAULT_CURRENCY;
+
+    if (useCache) {
+      const cached = await findCachedReport('range', { userid: userid, kind: 'range', from: start, to: end });
+      if (cached) {
+        return sendReport(res, cached, format);
+      }
+    }
+
+    const costs = await Cost.find(
+      { userid: userid, createdAt: { $gte: start, $lt: end }, status: ACTUAL_COST },
+      { _id: 0, category: 1, sum: 1, currency: 1, createdAt: 1 }
+    ).lean();
+
+    const converted = await convertCosts(costs, target);
+    if (converted.error) {
+      return sendError(res, converted.error.id, converted.error.message, 400);
+    }
+
+    const categories = (await getCategories(userid)).map(function (c) { return c.name; });
+    const totals = buildPeriodTotals(start, end, converted.costs, categories);
+    const report = {
+      userid: userid,
+      from: req.query.from,
+      to: req.query.to,
+      currency: target,
+      months: totals.months,
+      costs: totals.costs,
+      total: totals.total
+    };
+
+    if (useCache) {
+      try {
+        await new Report({
+          userid: userid,
+          kind: 'range',
+          from: start,
+          to: end,
+          report: report,
+          createdAt: new Date()
+        }).save();
+      } catch (e) {
+        // Ignore duplicate cache errors (if report already exists)
+      }
+    }
+
+    return sendReport(res, report, format);
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+// Top expenses listed by GET /api/analytics by default, and at most
+const DEFAULT_TOP = 5;
+const MAX_TOP = 50;
+
+/*
+  GET /api/analytics?id=123123&from=2025-03-01&to=2025-03-31&currency=USD&top=5
+  Where the money went in a period (default: the current month up to today), from a MongoDB aggregation:
+  - categories: total, count and percent of the total spend per category, largest first
+  - comparison: the same period one month earlier (previousMonth) and one year earlier (previousYear),
+    with the total, the delta and delta percent, and the delta per category
+  - averageDaily: total / days of the period
+  - top: the largest costs of the period (top, default 5, max 50)
+  Sums are converted to currency (default: DEFAULT_CURRENCY) with the exchange rate of each cost's date.
+*/
+app.get('/api/analytics', async function (req, res) {
+  try {
+    const userid = Number(req.query.id);
+    if (req.query.id === undefined || Number.isNaN(userid)) {
+      return sendError(res, 20, 'Query param id must be a Number', 400);
+    }
+
+    if (!auth.canAccess(req.user, userid)) {
+      return sendForbidden(res);
+    }
+
+    const today = new Date();
+    const from = req.query.from === undefined ? new Date(today.getFullYear(), today.getMonth(), 1) : parseDay(req.query.from);
+    const to = req.query.to === undefined ? new Date(today.getFullYear(), today.getMonth(), today.getDate()) : parseDay(req.query.to);
+    if (!from || !to) {
+      return sendError(res, 22, 'Query params from and to must be Dates in YYYY-MM-DD format', 400);
+    }
+
+    if (from > to) {
+      return sendError(res, 23, 'from must not be after to', 400);
+    }
+
+    const target = reportCurrency(req.query);
+    if (!target) {
+      return sendError(res, 24, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    const top = req.query.top === undefined ? DEFAULT_TOP : Number(req.query.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+      return sendError(res, 27, 'top must be a Number between 1 and ' + MAX_TOP, 400);
+    }
+
+    // "to" is inclusive, so the period ends at the start of the next day
+    const end = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1, 0, 0, 0, 0);
+    const periods = analytics.comparisonPeriods(from, end);
+    const result = (await Cost.aggregate(analytics.pipeline(userid, periods, top, DEFAULT_CURRENCY)))[0];
+
+    const totals = result.totals.map(function (row) {
+      return { period: row._id.period, category: row._id.category, currency: row._id.currency, createdAt: row._id.createdAt, sum: row.sum, count: row.count };
+    });
+    const convertedTotals = await convertCosts(totals, target);
+    if (convertedTotals.error) {
+      return sendError(res, convertedTotals.error.id, convertedTotals.error.message, 400);
+    }
+
+    const topItems = [].concat.apply([], result.top.map(function (group) { return group.items; }));
+    const convertedTop = await convertCosts(topItems, target);
+    if (convertedTop.error) {
+      return sendError(res, convertedTop.error.id, convertedTop.error.message, 400);
+    }
+
+    res.json(Object.assign({
+      userid: userid,
+      from: analytics.formatDay(from),
+      to: analytics.formatDay(to),
+      currency: target
+    }, analytics.summarize(periods, convertedTotals.costs, convertedTop.costs, top)));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/forecast?id=123123&currency=USD
+  Forecast of the current month's total per category, from the month so far and the
+  previous months (see forecast.js):
+  - spent: spent so far; average: monthly average of the previous months (null without history)
+  - forecast: expected total of the month (never below spent)
+*/
+app.get('/api/forecast', async function (req, res) {
+  try {
+    const userid = Number(req.query.id);
+    if (req.query.id === undefined || Number.isNaN(userid)) {
+      return sendError(res, 20, 'Query param id must be a Number', 400);
+    }
+
+    if (!auth.canAccess(req.user, userid)) {
+      return sendForbidden(res);
+    }
+
+    const target = reportCurrency(req.query);
+    if (!target) {
+      return sendError(res, 24, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+    const loaded = await loadMonthWithHistory(userid, year, month, target);
+    if (loaded.error) {
+      return sendError(res, loaded.error.id, loaded.error.message, 400);
+    }
+
+    res.json(Object.assign({
+      userid: userid,
+      year: year,
+      month: month,
+      currency: target
+    }, forecast.forecast(loaded.history, loaded.costs, now)));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/anomalies?id=123123&year=2025&month=11&currency=USD
+  Costs of a month (default: the current month) whose sum is far above the user's usual sums
+  in the category, i.e. the costs of the previous months (see forecast.js), largest score first.
+  POST /api/add returns the same check for the new cost.
+*/
+app.get('/api/anomalies', async function (req, res) {
+  try {
+    const now = new Date();
+    const userid = Number(req.query.id);
+    const year = req.query.year === undefined ? now.getFullYear() : Number(req.query.year);
+    const month = req.query.month === undefined ? now.getMonth() + 1 : Number(req.query.month);
+
+    if (req.query.id === undefined || Number.isNaN(userid) || Number.isNaN(year) || Number.isNaN(month)) {
+      return sendError(res, 20, 'Query params must be Numbers: id, year, month', 400);
+    }
+
+    if (!auth.canAccess(req.user, userid)) {
+      return sendForbidden(res);
+    }
+
+    if (month < 1 || month > 12) {
+      return sendError(res, 21, 'month must be between 1 and 12', 400);
+    }
+
+    const target = reportCurrency(req.query);
+    if (!target) {
+      return sendError(res, 24, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    const loaded = await loadMonthWithHistory(userid, year, month, target);
+    if (loaded.error) {
+      return sendError(res, loaded.error.id, loaded.error.message, 400);
+    }
+
+    const stats = forecast.categoryStats(loaded.history);
+    const anomalies = [];
+    loaded.costs.forEach(function (c) {
+      const found = forecast.anomaly(c, stats);
+      if (found) {
+        anomalies.push(Object.assign({
+          _id: c._id,
+          description: c.description,
+          category: c.category,
+          sum: Math.round(Number(c.sum) * 100) / 100,
+          createdAt: c.createdAt
+        }, found));
+      }
+    });
+    anomalies.sort(function (a, b) { return b.score - a.score; });
+
+    res.json({
+      userid: userid,
+      year: year,
+      month: month,
+      currency: target,
+      anomalies: anomalies
+    });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Load the group of a group endpoint from the query string.
+ * Sends the error response itself (110 invalid id, 111 not found, 403 not a member).
+ * @param {Object} req - Express request object (query param "group")
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Group document or null if an error was sent
+ */
+async function loadGroup(req, res) {
+  if (!mongoose.isValidObjectId(req.query.group)) {
+    sendError(res, 110, 'Query param group must be a valid ObjectId', 400);
+    return null;
+  }
+
+  const group = await usersClient.getGroup(String(req.query.group));
+  if (!group) {
+    sendError(res, 111, 'Group not found', 404);
+    return null;
+  }
+
+  const members = group.members.map(function (m) { return m.userid; });
+  if (!auth.isPrivileged(req.user) && members.indexOf(req.user.id) === -1) {
+    sendForbidden(res);
+    return null;
+  }
+
+  return group;
+}
+
+/**
+ * Helper function: What every user paid and owes of a group's costs.
+ * Shares are computed in the currency of each cost, then scaled to its converted sum.
+ * @param {Array} costs - Group cost documents (not converted)
+ * @param {Array} converted - The same costs converted to the target currency
+ * @param {Array} members - User IDs of the current members (listed even without costs)
+ * @returns {Object} { shares: [[{ userid, amount }]] per cost, balances: [{ userid, paid, share, net }] }
+ */
+function groupBalances(costs, converted, members) {
+  const cents = {};
+  const order = [];
+
+  /**
+   * Totals of a user in cents, created on first use.
+   * @param {number} userid - User ID
+   * @returns {Object} { paid, share }
+   */
+  function account(userid) {
+    if (!cents[userid]) {
+      cents[userid] = { paid: 0, share: 0 };
+      order.push(userid);
+    }
+    return cents[userid];
+  }
+  members.forEach(account);
+
+  const shares = costs.map(function (cost, i) {
+    const amounts = split.scaleShares(split.shareAmounts(cost.split, Number(cost.sum)), converted[i].sum);
+    account(cost.userid).paid += Math.round(converted[i].sum * 100);
+    amounts.forEach(function (a) {
+      account(a.userid).share += Math.round(a.amount * 100);
+    });
+    return amounts;
+  });
+
+  return {
+    shares: shares,
+    balances: order.map(function (userid) {
+      const c = cents[userid];
+      return { userid: userid, paid: c.paid / 100, share: c.share / 100, net: (c.paid - c.share) / 100 };
+    })
+  };
+}
+
+/*
+  GET /api/balance?group=<group _id>&currency=USD
+  Who owes whom in a group (members and admins only), over all the group's costs.
+  - balances: what every user paid, their share of the costs and the difference (net > 0 is owed money)
+  - settlements: payments that settle all balances
+  Sums are converted to currency (default: DEFAULT_CURRENCY) with the rate on each cost's createdAt.
+*/
+app.get('/api/balance', async function (req, res) {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const target = reportCurrency(req.query);
+    if (!target) {
+      return sendError(res, 24, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    const costs = await Cost.find({ group: group._id, status: ACTUAL_COST }).sort({ createdAt: 1 }).lean();
+    const converted = await convertCosts(costs, target);
+    if (converted.error) {
+      return sendError(res, converted.error.id, converted.error.message, 400);
+    }
+
+    const result = groupBalances(costs, converted.costs, group.members.map(function (m) { return m.userid; }));
+
+    res.json({
+      group: group._id,
+      name: group.name,
+      currency: target,
+      balances: result.balances,
+      settlements: split.settle(result.balances)
+    });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/report/group?group=<group _id>&year=2026&month=3&currency=USD
+  Monthly report of a group (members and admins only), grouped by category like /api/report.
+  Every item has the user who paid and the shares; members lists paid/share/net for the month.
+  Group reports are not cached: members and splits can change after the month is over.
+*/
+app.get('/api/report/group', async function (req, res) {
+  try {
+    const year = Number(req.query.year);
+    const month = Number(req.query.month);
+    if (Number.isNaN(year) || Number.isNaN(month)) {
+      return sendError(res, 20, 'Query params must be Numbers: year, month', 400);
+    }
+
+    if (month < 1 || month > 12) {
+      return sendError(res, 21, 'month must be between 1 and 12', 400);
+    }
+
+    const target = reportCurrency(req.query);
+    if (!target) {
+      return sendError(res, 24, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const start = new Date(year, month - 1, 1, 0, 0, 0, 0);
+    const end = new Date(year, month, 1, 0, 0, 0, 0);
+    const costs = await Cost.find({ group: group._id, createdAt: { $gte: start, $lt: end }, status: ACTUAL_COST }).sort({ createdAt: 1 }).lean();
+
+    const converted = await convertCosts(costs, target);
+    if (converted.error) {
+      return sendError(res, converted.error.id, converted.error.message, 400);
+    }
+
+    const members = group.members.map(function (m) { return m.userid; });
+    const result = groupBalances(costs, converted.costs, members);
+
+    // Categories of all members and payers (global defaults first), without duplicate names
+    const owners = members.concat(costs.map(function (c) { return c.userid; }));
+    const categoryDocs = await Category.find({ userid: { $in: [null].concat(owners) } }).sort({ _id: 1 }).lean();
+    const categories = [];
+    categoryDocs.forEach(function (c) {
+      if (categories.indexOf(c.name) === -1) categories.push(c.name);
+    });
+
+    res.json({
+      group: group._id,
+      name: group.name,
+      year: year,
+      month: month,
+      currency: target,
+      costs: groupByCategory(converted.costs, categories, function (c, i) {
+        return {
+          sum: c.sum,
+          description: c.description,
+          day: new Date(c.createdAt).getDate(),
+          userid: c.userid,
+          shares: result.shares[i]
+        };
+      }),
+      members: result.balances
+    });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+module.exports = app;
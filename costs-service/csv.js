@@ -0,0 +1,101 @@
+﻿/**
+ * Parse CSV text (RFC 4180: comma separated, fields may be quoted with "",
+ * quotes inside a quoted field are doubled) into an array of rows.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields (empty lines are skipped)
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  // Skip empty lines (a single empty field)
+  return rows.filter(function (r) { return r.length > 1 || r[0] !== ''; });
+}
+
+/**
+ * Parse CSV text with a header line into objects keyed by the header names.
+ * Empty cells are left out of the objects.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data line
+ */
+function parse(text) {
+  // Strip the byte order mark that spreadsheet programs add to exported files
+  const rows = parseRows(String(text).replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(function (h) { return h.trim(); });
+  return rows.slice(1).map(function (r) {
+    const obj = {};
+    header.forEach(function (name, i) {
+      if (r[i] !== undefined && r[i] !== '') obj[name] = r[i];
+    });
+    return obj;
+  });
+}
+
+/**
+ * Format one CSV field. Fields with commas, quotes or line breaks are quoted, and text
+ * that a spreadsheet would run as a formula (=, +, -, @) is prefixed with a quote.
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = "'" + text;
+  if (/[",\r\n]/.test(text)) text = '"' + text.replace(/"/g, '""') + '"';
+  return text;
+}
+
+/**
+ * Build CSV text that spreadsheet programs (Excel, LibreOffice, Google Sheets) open
+ * directly: UTF-8 with a byte order mark and CRLF line endings.
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Rows of values, in header order
+ * @returns {string} CSV text
+ */
+function stringify(header, rows) {
+  const lines = [header].concat(rows).map(function (r) {
+    return r.map(formatField).join(',');
+  });
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parse: parse,
+  stringify: stringify
+};
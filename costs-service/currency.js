@@ -0,0 +1,76 @@
+﻿/**
+ * ISO 4217 codes of the currencies that can be used for costs and exchange rates.
+ * Fund, precious metal and testing codes (e.g. XAU, XDR, XXX) are left out.
+ */
+const CURRENCY_CODES = [
+  'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM', 'BBD', 'BDT', 'BGN', 'BHD', 'BIF',
+  'BMD', 'BND', 'BOB', 'BRL', 'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY', 'COP', 'CRC',
+  'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS',
+  'GIP', 'GMD', 'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR', 'IQD', 'IRR', 'ISK', 'JMD',
+  'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF', 'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL',
+  'LYD', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR', 'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD',
+  'NGN', 'NIO', 'NOK', 'NPR', 'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR', 'RON', 'RSD',
+  'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP',
+  'SZL', 'THB', 'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX', 'USD', 'UYU', 'UZS', 'VES',
+  'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XCG', 'XOF', 'XPF', 'YER', 'ZAR', 'ZMW', 'ZWG'
+];
+
+/**
+ * Check that a value is a supported ISO 4217 currency code (upper case, e.g. 'USD').
+ * @param {*} code - Value to check
+ * @returns {boolean} True if the code is supported
+ */
+function isCurrencyCode(code) {
+  return typeof code === 'string' && CURRENCY_CODES.indexOf(code) !== -1;
+}
+
+/**
+ * Build a currency converter from a list of exchange rates.
+ * Each rate is the value of 1 unit of its currency in the base currency, in effect
+ * from its date until the next rate of the same currency.
+ * @param {Array} rates - Rate documents { currency, rate, date }
+ * @param {string} baseCurrency - Currency the rates are expressed in
+ * @returns {Function} convert(sum, from, to, date) - Converted sum rounded to 2 decimals, or null if a rate is missing
+ */
+function createConverter(rates, baseCurrency) {
+  // Rates of each currency, oldest first
+  const byCurrency = {};
+  rates
+    .slice()
+    .sort(function (a, b) { return new Date(a.date) - new Date(b.date); })
+    .forEach(function (r) {
+      if (!byCurrency[r.currency]) byCurrency[r.currency] = [];
+      byCurrency[r.currency].push(r);
+    });
+
+  /**
+   * Value of 1 unit of a currency in the base currency on a date.
+   * @param {string} currency - Currency code
+   * @param {Date} date - Date of the cost
+   * @returns {number|null} Rate or null if no rate was in effect
+   */
+  function rateOn(currency, date) {
+    if (currency === baseCurrency) return 1;
+    const list = byCurrency[currency] || [];
+    const time = new Date(date).getTime();
+    let found = null;
+    for (let i = 0; i < list.length && new Date(list[i].date).getTime() <= time; i++) {
+      found = list[i].rate;
+    }
+    return found;
+  }
+
+  return function convert(sum, from, to, date) {
+    if (from === to) return sum;
+    const fromRate = rateOn(from, date);
+    const toRate = rateOn(to, date);
+    if (fromRate === null || toRate === null) return null;
+    return Math.round((sum * fromRate / toRate) * 100) / 100;
+  };
+}
+
+module.exports = {
+  CURRENCY_CODES: CURRENCY_CODES,
+  isCurrencyCode: isCurrencyCode,
+  createConverter: createConverter
+};
@@ -0,0 +1,203 @@
+﻿const csv = require('./csv');
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Escape text for HTML.
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an amount with 2 decimals.
+ * @param {number} sum - Amount
+ * @returns {string} Formatted amount
+ */
+function money(sum) {
+  return Number(sum || 0).toFixed(2);
+}
+
+/**
+ * Split the report "costs" array ([{ food: [...] }, ...]) into name/value pairs.
+ * @param {Array} costs - Report costs array
+ * @returns {Array} [{ name, value }]
+ */
+function categoryEntries(costs) {
+  return (costs || []).map(function (entry) {
+    const name = Object.keys(entry)[0];
+    return { name: name, value: entry[name] };
+  });
+}
+
+/**
+ * Check if a report is a yearly/range report (per-month totals) rather than a monthly one (items).
+ * @param {Object} report - Report JSON
+ * @returns {boolean} True for yearly/range reports
+ */
+function isPeriodReport(report) {
+  return Array.isArray(report.months);
+}
+
+/**
+ * Describe the period of a report, e.g. "March 2026", "2026" or "2026-01-15 to 2026-03-31".
+ * @param {Object} report - Report JSON
+ * @returns {string} Period description
+ */
+function periodTitle(report) {
+  if (report.from !== undefined) return report.from + ' to ' + report.to;
+  if (report.month !== undefined) return MONTH_NAMES[report.month - 1] + ' ' + report.year;
+  return String(report.year);
+}
+
+/**
+ * Name of the file a report is downloaded as, without extension.
+ * @param {Object} report - Report JSON
+ * @returns {string} File name, e.g. "report-123123-2026-03"
+ */
+function fileName(report) {
+  if (report.from !== undefined) return 'report-' + report.userid + '-' + report.from + '_' + report.to;
+  if (report.month !== undefined) return 'report-' + report.userid + '-' + report.year + '-' + String(report.month).padStart(2, '0');
+  return 'report-' + report.userid + '-' + report.year;
+}
+
+/**
+ * Render a report as CSV.
+ * - Monthly report: one line per cost item.
+ * - Yearly/range report: one line per month and category with its total.
+ * @param {Object} report - Report JSON (as returned by the report endpoints)
+ * @returns {string} CSV text
+ */
+function toCsv(report) {
+  const code = report.currency || '';
+
+  if (isPeriodReport(report)) {
+    const rows = [];
+    report.months.forEach(function (m) {
+      categoryEntries(m.costs).forEach(function (c) {
+        rows.push([report.userid, m.year, m.month, c.name, c.value, code]);
+      });
+    });
+    return csv.stringify(['userid', 'year', 'month', 'category', 'total', 'currency'], rows);
+  }
+
+  const rows = [];
+  categoryEntries(report.costs).forEach(function (c) {
+    c.value.forEach(function (item) {
+      rows.push([report.userid, report.year, report.month, c.name, item.day, item.description, item.sum, code]);
+    });
+  });
+  return csv.stringify(['userid', 'year', 'month', 'category', 'day', 'description', 'sum', 'currency'], rows);
+}
+
+/**
+ * Render a report as a standalone printable HTML statement with totals per category.
+ * The planned costs of a monthly report are listed after its costs.
+ * @param {Object} report - Report JSON (as returned by the report endpoints)
+ * @returns {string} HTML document
+ */
+function toHtml(report) {
+  const code = escapeHtml(report.currency || '');
+  const categories = categoryEntries(report.costs);
+  const parts = [];
+
+  // Totals per category (monthly reports list items, period reports already hold totals)
+  const totals = categories.map(function (c) {
+    const total = Array.isArray(c.value)
+      ? c.value.reduce(function (acc, item) { return acc + item.sum; }, 0)
+      : c.value;
+    return { name: c.name, total: total };
+  });
+  const grandTotal = totals.reduce(function (acc, t) { return acc + t.total; }, 0);
+
+  parts.push('<h2>Totals per category</h2>');
+  parts.push('<table><thead><tr><th>Category</th><th class="num">Total (' + code + ')</th></tr></thead><tbody>');
+  totals.forEach(function (t) {
+    parts.push('<tr><td>' + escapeHtml(t.name) + '</td><td class="num">' + money(t.total) + '</td></tr>');
+  });
+  parts.push('</tbody><tfoot><tr><th>Total</th><th class="num">' + money(grandTotal) + '</th></tr></tfoot></table>');
+
+  if (isPeriodReport(report)) {
+    parts.push('<h2>Per month</h2>');
+    parts.push('<table><thead><tr><th>Month</th>');
+    categories.forEach(function (c) {
+      parts.push('<th class="num">' + escapeHtml(c.name) + '</th>');
+    });
+    parts.push('<th class="num">Total</th></tr></thead><tbody>');
+    report.months.forEach(function (m) {
+      parts.push('<tr><td>' + escapeHtml(MONTH_NAMES[m.month - 1] + ' ' + m.year) + '</td>');
+      categoryEntries(m.costs).forEach(function (c) {
+        parts.push('<td class="num">' + money(c.value) + '</td>');
+      });
+      parts.push('<td class="num">' + money(m.total) + '</td></tr>');
+    });
+    parts.push('</tbody></table>');
+  } else {
+    categories.forEach(function (c) {
+      if (c.value.length === 0) return;
+      parts.push('<h2>' + escapeHtml(c.name) + '</h2>');
+      parts.push('<table><thead><tr><th>Day</th><th>Description</th><th class="num">Sum (' + code + ')</th></tr></thead><tbody>');
+      c.value.forEach(function (item) {
+        parts.push('<tr><td>' + escapeHtml(item.day) + '</td><td>' + escapeHtml(item.description) + '</td><td class="num">' + money(item.sum) + '</td></tr>');
+      });
+      parts.push('</tbody></table>');
+    });
+
+    const planned = categoryEntries(report.planned).filter(function (c) { return c.value.length > 0; });
+    if (planned.length > 0) {
+      parts.push('<h2>Planned</h2>');
+      parts.push('<table><thead><tr><th>Day</th><th>Category</th><th>Description</th><th class="num">Sum (' + code + ')</th></tr></thead><tbody>');
+      planned.forEach(function (c) {
+        c.value.forEach(function (item) {
+          parts.push('<tr><td>' + escapeHtml(item.day) + '</td><td>' + escapeHtml(c.name) + '</td><td>' + escapeHtml(item.description) + '</td><td class="num">' + money(item.sum) + '</td></tr>');
+        });
+      });
+      parts.push('</tbody></table>');
+    }
+
+    if (report.budgets && report.budgets.length > 0) {
+      parts.push('<h2>Budgets</h2>');
+      parts.push('<table><thead><tr><th>Category</th><th class="num">Limit</th><th class="num">Spent</th><th class="num">Used</th></tr></thead><tbody>');
+      report.budgets.forEach(function (b) {
+        parts.push('<tr' + (b.over ? ' class="over"' : '') + '><td>' + escapeHtml(b.category) + '</td>' +
+          '<td class="num">' + money(b.limit) + ' ' + escapeHtml(b.currency) + '</td>' +
+          '<td class="num">' + money(b.spent) + ' ' + escapeHtml(b.currency) + '</td>' +
+          '<td class="num">' + (b.percent === null ? '' : escapeHtml(b.percent) + '%') + '</td></tr>');
+      });
+      parts.push('</tbody></table>');
+    }
+  }
+
+  const title = 'Cost statement - ' + periodTitle(report);
+
+  return '<!DOCTYPE html>\n' +
+    '<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+    '<title>' + escapeHtml(title) + '</title>\n' +
+    '<style>\n' +
+    'body { font-family: Arial, Helvetica, sans-serif; margin: 2em; color: #222; }\n' +
+    'table { border-collapse: collapse; width: 100%; margin-bottom: 1.5em; }\n' +
+    'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }\n' +
+    'thead th, tfoot th { background: #f2f2f2; }\n' +
+    '.num { text-align: right; }\n' +
+    '.over td { color: #b00020; font-weight: bold; }\n' +
+    '@media print { body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }\n' +
+    '</style>\n</head>\n<body>\n' +
+    '<h1>' + escapeHtml(title) + '</h1>\n' +
+    '<p>User ' + escapeHtml(report.userid) + ' &middot; Currency ' + code + '</p>\n' +
+    parts.join('\n') + '\n' +
+    '</body>\n</html>\n';
+}
+
+module.exports = {
+  fileName: fileName,
+  toCsv: toCsv,
+  toHtml: toHtml
+};
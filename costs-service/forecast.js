@@ -0,0 +1,183 @@
+﻿/**
+ * Spending forecast and anomaly detection of a user, computed from the user's own costs
+ * (no external service). Sums must already be converted to one currency.
+ * - forecast(): the expected total of the current month per category, blending the pace of
+ *   the month so far with the average of the previous months
+ * - categoryStats() / anomaly(): a cost is anomalous when its sum is far above the usual sums
+ *   of its category (more than ANOMALY_THRESHOLD standard deviations above the mean)
+ * The history is the HISTORY_MONTHS full months before the month in question.
+ */
+
+const HISTORY_MONTHS = 6;
+
+// Standard deviations above the mean from which a cost is anomalous
+const ANOMALY_THRESHOLD = 3;
+
+// Fewer costs in a category than this are not enough to know what is usual
+const MIN_HISTORY_COSTS = 5;
+
+// The spread is at least this share of the mean, so categories with (almost) identical
+// sums do not flag every small difference
+const MIN_SPREAD_RATIO = 0.1;
+
+/**
+ * Helper function: Round money to cents.
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Start of the history window of a month.
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Date} First day of the month HISTORY_MONTHS months earlier
+ */
+function historyStart(year, month) {
+  return new Date(year, month - 1 - HISTORY_MONTHS, 1);
+}
+
+/**
+ * Forecast the total of a month per category.
+ * The pace (spent / days elapsed * days in month) is weighted by the share of the month that
+ * has elapsed and the average of the previous months by the rest, so early in the month the
+ * forecast follows the history and later the actual spending. It is never below what was spent.
+ * Months before the first cost of the history do not count in the average (new users).
+ * @param {Array} history - Converted costs { category, sum, createdAt } of the history window
+ * @param {Array} current - Converted costs { category, sum } of the month so far
+ * @param {Date} now - Current time (in the month)
+ * @returns {Object} { daysElapsed, daysInMonth, historyMonths, spent, forecast, categories: [{ category, spent, average, forecast }] }
+ */
+function forecast(history, current, now) {
+  const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  const daysElapsed = now.getDate();
+  const elapsed = daysElapsed / daysInMonth;
+
+  // Months of history: from the month of the first cost up to the previous month
+  let historyMonths = 0;
+  if (history.length > 0) {
+    const first = history.reduce(function (min, c) {
+      return c.createdAt < min ? c.createdAt : min;
+    }, history[0].createdAt);
+    const firstDate = new Date(first);
+    historyMonths = (now.getFullYear() - firstDate.getFullYear()) * 12 + now.getMonth() - firstDate.getMonth();
+  }
+
+  // Spent this month and in the history, per category
+  const byCategory = {};
+
+  /**
+   * Totals of a category, created on first use.
+   * @param {string} name - Category name
+   * @returns {Object} { spent, past }
+   */
+  function entry(name) {
+    return byCategory[name] || (byCategory[name] = { spent: 0, past: 0 });
+  }
+  history.forEach(function (c) {
+    entry(c.category).past += Number(c.sum);
+  });
+  current.forEach(function (c) {
+    entry(c.category).spent += Number(c.sum);
+  });
+
+  const categories = Object.keys(byCategory)
+    .map(function (name) {
+      const c = byCategory[name];
+      const pace = c.spent / elapsed;
+      const average = historyMonths > 0 ? c.past / historyMonths : null;
+      const expected = average === null ? pace : elapsed * pace + (1 - elapsed) * average;
+      return {
+        category: name,
+        spent: round(c.spent),
+        average: average === null ? null : round(average),
+        forecast: round(Math.max(expected, c.spent))
+      };
+    })
+    .sort(function (a, b) { return b.forecast - a.forecast; });
+
+  return {
+    daysElapsed: daysElapsed,
+    daysInMonth: daysInMonth,
+    historyMonths: historyMonths,
+    spent: round(categories.reduce(function (sum, c) { return sum + c.spent; }, 0)),
+    forecast: round(categories.reduce(function (sum, c) { return sum + c.forecast; }, 0)),
+    categories: categories
+  };
+}
+
+/**
+ * Usual sums of each category.
+ * @param {Array} history - Converted costs { category, sum } of the history window
+ * @returns {Object} { [category]: { count, mean, stddev } }
+ */
+function categoryStats(history) {
+  const sums = {};
+  history.forEach(function (c) {
+    (sums[c.category] || (sums[c.category] = [])).push(Number(c.sum));
+  });
+
+  const stats = {};
+  Object.keys(sums).forEach(function (name) {
+    const values = sums[name];
+    const mean = values.reduce(function (a, b) { return a + b; }, 0) / values.length;
+    const variance = values.reduce(function (a, b) { return a + (b - mean) * (b - mean); }, 0) / values.length;
+    stats[name] = { count: values.length, mean: mean, stddev: Math.sqrt(variance) };
+  });
+  return stats;
+}
+
+/**
+ * Combine the usual sums of a category kept in several currencies (e.g. the result of a
+ * $group by currency with $avg and $stdDevPop), once converted to one currency.
+ * @param {Array} groups - [{ count, mean, stddev }] in the same currency
+ * @returns {Object|null} { count, mean, stddev } of all of them, or null if there are none
+ */
+function mergeStats(groups) {
+  let count = 0;
+  let total = 0;
+  let squares = 0;
+  groups.forEach(function (g) {
+    count += g.count;
+    total += g.count * g.mean;
+    squares += g.count * (g.stddev * g.stddev + g.mean * g.mean);
+  });
+  if (count === 0) return null;
+
+  const mean = total / count;
+  return { count: count, mean: mean, stddev: Math.sqrt(Math.max(0, squares / count - mean * mean)) };
+}
+
+/**
+ * Check whether a cost is anomalous for its category.
+ * @param {Object} cost - Converted cost { category, sum }
+ * @param {Object} stats - Result of categoryStats (or { [category]: mergeStats(...) })
+ * @returns {Object|null} { reason, usual, ratio, score } or null if the cost is usual
+ *   (or the category has too little history to tell)
+ */
+function anomaly(cost, stats) {
+  const usual = stats[cost.category];
+  if (!usual || usual.count < MIN_HISTORY_COSTS || usual.mean <= 0) return null;
+
+  const spread = Math.max(usual.stddev, usual.mean * MIN_SPREAD_RATIO);
+  const score = (Number(cost.sum) - usual.mean) / spread;
+  if (score < ANOMALY_THRESHOLD) return null;
+
+  return {
+    reason: 'sum far above the usual sums of the category',
+    usual: round(usual.mean),
+    ratio: Math.round((Number(cost.sum) / usual.mean) * 10) / 10,
+    score: Math.round(score * 10) / 10
+  };
+}
+
+module.exports = {
+  HISTORY_MONTHS: HISTORY_MONTHS,
+  historyStart: historyStart,
+  forecast: forecast,
+  categoryStats: categoryStats,
+  mergeStats: mergeStats,
+  anomaly: anomaly
+};
@@ -0,0 +1,30 @@
+﻿const mongoose = require('mongoose');
+// Register mongoose-double plugin to support Double type for precise decimal numbers
+require('mongoose-double')(mongoose);
+
+const Double = mongoose.Schema.Types.Double;
+
+/**
+ * Budget schema for the budgets collection.
+ * The most a user wants to spend on a category in one month.
+ * - userid: Number - Owner of the budget
+ * - category: String - Category name (a parent category also counts its child categories)
+ * - year, month: Number - Month of the budget (month 1-12)
+ * - limit: Double - Maximum amount
+ * - currency: String - ISO 4217 code of the limit (costs are converted to it)
+ */
+const budgetSchema = new mongoose.Schema(
+  {
+    userid: { type: Number, required: true },       // User ID who owns this budget
+    category: { type: String, required: true },      // Category the budget applies to
+    year: { type: Number, required: true },          // Year of the budget
+    month: { type: Number, required: true },         // Month of the budget (1-12)
+    limit: { type: Double, required: true },          // Maximum amount for the month
+    currency: { type: String, required: true }       // Currency of the limit
+  },
+  { versionKey: false }  // Disable __v version key
+);
+
+budgetSchema.index({ userid: 1, category: 1, year: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema, 'budgets');
@@ -0,0 +1,21 @@
+﻿const mongoose = require('mongoose');
+
+/**
+ * Category schema for the categories collection.
+ * - name: String - Category name, stored on each cost as its 'category'
+ * - userid: Number - Owner of a custom category, or null for a global default shared by all users
+ * - parent: String - Name of the parent category (optional, one level of nesting)
+ * Costs reference categories by name, so renaming a category also renames it on costs.
+ */
+const categorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },        // Category name (unique per user, including the globals)
+    userid: { type: Number, default: null },       // Owner user ID, null for global defaults
+    parent: { type: String, default: null }        // Parent category name, null for top-level categories
+  },
+  { versionKey: false }  // Disable __v version key
+);
+
+categorySchema.index({ userid: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Category', categorySchema, 'categories');
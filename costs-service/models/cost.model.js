@@ -8,21 +8,53 @@ const Double = mongoose.Schema.Types.Double;
  * Cost schema for the costs collection.
  * Fields required by project:
  * - description: String - Description of the cost item
- * - category: String - One of: food, health, housing, sports, education
+ * - category: String - Name of a category available to the user (see category.model.js)
  * - userid: Number - ID of the user who owns this cost
  * - sum: Double - Cost amount (using Double type for precise decimal handling)
  * Extra:
+ * - currency: String - ISO 4217 code of the sum (costs saved without one are in DEFAULT_CURRENCY)
+ * - group: ObjectId - Group (users-service) the cost belongs to; userid is the member who paid
+ * - split: Object - How a group cost is shared: { type: equal|percentage|exact, shares: [{ userid, value }] }
  * - createdAt: Date - Timestamp when the cost was created (used to get day/month/year for reports)
+ * - status: String - actual, or planned for a cost added with a future createdAt; planned costs
+ *   are left out of totals and become actual on their date (costs saved without one are actual)
  */
+// One user's share of a group cost (value: percentage or amount, unused for equal splits)
+const shareSchema = new mongoose.Schema(
+  {
+    userid: { type: Number, required: true },
+    value: { type: Number }
+  },
+  { _id: false }
+);
+
 const costSchema = new mongoose.Schema(
   {
     description: { type: String, required: true },   // Description of the cost item
-    category: { type: String, required: true },       // Cost category (must be one of the allowed categories)
+    category: { type: String, required: true },       // Cost category (global default or one of the user's categories)
     userid: { type: Number, required: true },         // User ID who owns this cost
     sum: { type: Double, required: true },             // Cost amount (Double for decimal precision)
-    createdAt: { type: Date, required: true }         // Creation timestamp
+    currency: { type: String },                       // ISO 4217 currency code of the sum
+    group: { type: mongoose.Schema.Types.ObjectId },  // Group the cost belongs to (optional)
+    split: {                                          // Split between group members (group costs only)
+      type: { type: String, enum: ['equal', 'percentage', 'exact'] },
+      shares: { type: [shareSchema], default: undefined }
+    },
+    createdAt: { type: Date, required: true },        // Creation timestamp
+    status: { type: String, enum: ['actual', 'planned'], default: 'actual' }  // Planned until createdAt
   },
   { versionKey: false }  // Disable __v version key
 );
 
+// Indexes for reports and GET /api/costs (filter by user, category and date, sort by date or sum)
+costSchema.index({ userid: 1, createdAt: -1, _id: -1 });
+costSchema.index({ userid: 1, category: 1, createdAt: -1, _id: -1 });
+costSchema.index({ userid: 1, sum: -1, _id: -1 });
+// Index for group balances and group reports
+costSchema.index({ group: 1, createdAt: -1 }, { sparse: true });
+// Index for the scheduler that turns planned costs into actual ones on their date
+costSchema.index({ status: 1, createdAt: 1 });
+// Text index for the description search (q) of GET /api/costs
+costSchema.index({ description: 'text' });
+
 module.exports = mongoose.model('Cost', costSchema, 'costs');
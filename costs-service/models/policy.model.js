@@ -0,0 +1,19 @@
+﻿const mongoose = require('mongoose');
+
+/**
+ * Date policy schema for the policies collection.
+ * Per-user override of the deployment's date rules for adding costs (BACKDATE_DAYS).
+ * - userid: Number - User the policy applies to
+ * - backdateDays: Number - How many days in the past createdAt may be (0 = not at all)
+ */
+const policySchema = new mongoose.Schema(
+  {
+    userid: { type: Number, required: true },         // User ID the policy applies to
+    backdateDays: { type: Number, required: true }    // Days a cost may be backdated
+  },
+  { versionKey: false }  // Disable __v version key
+);
+
+policySchema.index({ userid: 1 }, { unique: true });
+
+module.exports = mongoose.model('Policy', policySchema, 'policies');
@@ -0,0 +1,24 @@
+﻿const mongoose = require('mongoose');
+// Register mongoose-double plugin to support Double type for precise decimal numbers
+require('mongoose-double')(mongoose);
+
+const Double = mongoose.Schema.Types.Double;
+
+/**
+ * Exchange rate schema for the rates collection.
+ * - currency: String - ISO 4217 code of the currency
+ * - rate: Double - Value of 1 unit of the currency in the base currency (DEFAULT_CURRENCY)
+ * - date: Date - The rate is in effect from this date until the next rate of the same currency
+ */
+const rateSchema = new mongoose.Schema(
+  {
+    currency: { type: String, required: true },   // ISO 4217 currency code
+    rate: { type: Double, required: true },        // Value in the base currency
+    date: { type: Date, required: true }          // Start of the period the rate is in effect
+  },
+  { versionKey: false }  // Disable __v version key
+);
+
+rateSchema.index({ currency: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('Rate', rateSchema, 'rates');
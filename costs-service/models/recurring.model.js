@@ -0,0 +1,40 @@
+﻿const mongoose = require('mongoose');
+// Register mongoose-double plugin to support Double type for precise decimal numbers
+require('mongoose-double')(mongoose);
+
+const Double = mongoose.Schema.Types.Double;
+
+/**
+ * Recurring cost schema for the recurring_costs collection.
+ * A definition of a cost that repeats (rent, gym, tuition...). The scheduler
+ * (scheduler.js) inserts a regular Cost document every time an occurrence comes due.
+ * - description, category, userid, sum, currency: copied to every Cost it creates
+ * - interval: 'weekly', 'monthly' or 'yearly'
+ * - startDate: Date of the first occurrence (later occurrences keep its day/time)
+ * - endDate: Date after which no more occurrences are created (optional)
+ * - status: 'active', 'paused', 'cancelled' or 'completed' (endDate reached)
+ * - occurrences: Number of occurrences created so far
+ * - nextRun: Date of the next occurrence to create
+ */
+const recurringSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },   // Description copied to each cost
+    category: { type: String, required: true },       // Category copied to each cost
+    userid: { type: Number, required: true },         // User ID who owns the costs
+    sum: { type: Double, required: true },             // Amount of each cost
+    currency: { type: String },                       // ISO 4217 currency code of the sum
+    interval: { type: String, required: true, enum: ['weekly', 'monthly', 'yearly'] },
+    startDate: { type: Date, required: true },        // First occurrence
+    endDate: { type: Date, default: null },           // Last possible occurrence (inclusive)
+    status: { type: String, required: true, enum: ['active', 'paused', 'cancelled', 'completed'], default: 'active' },
+    occurrences: { type: Number, required: true, default: 0 },
+    nextRun: { type: Date, required: true },          // Next occurrence to create
+    createdAt: { type: Date, required: true }         // Creation timestamp of the definition
+  },
+  { versionKey: false }  // Disable __v version key
+);
+
+// The scheduler looks up active definitions that are due
+recurringSchema.index({ status: 1, nextRun: 1 });
+
+module.exports = mongoose.model('RecurringCost', recurringSchema, 'recurring_costs');
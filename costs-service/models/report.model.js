@@ -2,19 +2,91 @@
 
 /*
   Computed Design Pattern:
-  We cache reports for past months. If requested again, we return the saved report.
+  We cache reports for closed periods. If requested again, we return the saved report.
+  - kind 'monthly': a past month (year + month)
+  - kind 'yearly': a past year (year only)
+  - kind 'range': a custom range that ended in the past (from inclusive, to exclusive)
+  Monthly reports cached before 'kind' existed have no kind field, so monthly lookups use year + month only.
+  Reports cached with an older REPORT_VERSION lack sections added since (e.g. budgets, planned costs)
+  and are rebuilt instead of returned.
 */
+
+// Layout version of cached reports: bump it when a report gets new sections
+// (2: monthly reports have the budgets and planned sections; reports cached before have no version)
+const REPORT_VERSION = 2;
+
 const reportSchema = new mongoose.Schema(
   {
     userid: { type: Number, required: true },
-    year: { type: Number, required: true },
-    month: { type: Number, required: true },
+    kind: { type: String, enum: ['monthly', 'yearly', 'range'], default: 'monthly' },
+    year: { type: Number },
+    month: { type: Number },
+    from: { type: Date },
+    to: { type: Date },
     report: { type: Object, required: true },
+    version: { type: Number, default: REPORT_VERSION },
     createdAt: { type: Date, required: true }
   },
   { versionKey: false }
 );
 
-reportSchema.index({ userid: 1, year: 1, month: 1 }, { unique: true });
+reportSchema.index({ userid: 1, kind: 1, year: 1, month: 1, from: 1, to: 1 }, { unique: true });
+
+// Unique index of databases created before yearly/range reports (see dropLegacyIndex)
+const LEGACY_INDEX_KEY = { userid: 1, year: 1, month: 1 };
+
+/**
+ * Drop the legacy unique index { userid, year, month }: it allows only one yearly and one
+ * range report per user (both have no month), so other reports could not be cached. Safe to run again.
+ * @returns {Promise<boolean>} True if the index was dropped
+ */
+reportSchema.statics.dropLegacyIndex = async function () {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (err) {
+    if (err && err.codeName === 'NamespaceNotFound') return false;  // No reports collection yet
+    throw err;
+  }
+
+  const legacy = indexes.find(function (index) {
+    return JSON.stringify(index.key) === JSON.stringify(LEGACY_INDEX_KEY);
+  });
+  if (!legacy) return false;
+
+  await this.collection.dropIndex(legacy.name);
+  return true;
+};
+
+/**
+ * Check whether a cached report has the current layout (REPORT_VERSION).
+ * @param {Object} cached - Report document
+ * @returns {boolean} True if it can be returned as is
+ */
+reportSchema.statics.isCurrent = function (cached) {
+  return cached.version === REPORT_VERSION;
+};
+
+/**
+ * Remove the cached reports that contain a cost's date.
+ * Reports are cached only for closed periods, so after a cost in such a period is
+ * added, edited or deleted the next report request rebuilds the period from costs.
+ * Removes the monthly report of that month, the yearly report of that year and
+ * every cached range that includes the date.
+ * @param {number} userid - User ID
+ * @param {Date} date - createdAt of the cost
+ * @returns {Promise} Result of deleteMany
+ */
+reportSchema.statics.invalidate = function (userid, date) {
+  const d = new Date(date);
+  return this.deleteMany({
+    userid: userid,
+    $or: [
+      { year: d.getFullYear(), month: d.getMonth() + 1 },
+      { kind: 'yearly', year: d.getFullYear() },
+      { kind: 'range', from: { $lte: d }, to: { $gt: d } }
+    ]
+  });
+};
 
 module.exports = mongoose.model('Report', reportSchema, 'reports');
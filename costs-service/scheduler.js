@@ -0,0 +1,160 @@
+﻿const Cost = require('./models/cost.model');
+const Report = require('./models/report.model');
+const RecurringCost = require('./models/recurring.model');
+
+/**
+ * Date of the n-th occurrence of a recurring cost (n = 0 is startDate).
+ * Every occurrence is computed from startDate so there is no drift: monthly and
+ * yearly occurrences keep its day, clamped to the last day of shorter months
+ * (Jan 31 -> Feb 28 -> Mar 31).
+ * @param {Date} startDate - First occurrence
+ * @param {string} interval - 'weekly', 'monthly' or 'yearly'
+ * @param {number} n - Occurrence index
+ * @returns {Date} Date of the occurrence
+ */
+function occurrenceDate(startDate, interval, n) {
+  const s = new Date(startDate);
+
+  if (interval === 'weekly') {
+    return new Date(s.getFullYear(), s.getMonth(), s.getDate() + 7 * n, s.getHours(), s.getMinutes(), s.getSeconds(), s.getMilliseconds());
+  }
+
+  const months = interval === 'yearly' ? 12 * n : n;
+  const first = new Date(s.getFullYear(), s.getMonth() + months, 1);
+  const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  return new Date(first.getFullYear(), first.getMonth(), Math.min(s.getDate(), lastDay), s.getHours(), s.getMinutes(), s.getSeconds(), s.getMilliseconds());
+}
+
+/**
+ * Index of the first occurrence at or after a date.
+ * Used when a paused definition is resumed: occurrences missed while paused are skipped.
+ * @param {Object} recurring - Recurring cost document
+ * @param {Date} date - Date to search from
+ * @returns {number} Occurrence index
+ */
+function firstOccurrenceFrom(recurring, date) {
+  let n = recurring.occurrences;
+  while (occurrenceDate(recurring.startDate, recurring.interval, n) < date) {
+    n++;
+  }
+  return n;
+}
+
+/**
+ * Create the Cost documents of every active recurring cost that is due.
+ * All due occurrences are created, so missed runs (e.g. after downtime) are caught up.
+ * Each occurrence is claimed on the definition before its cost is inserted, so
+ * concurrent runs never create the same occurrence twice.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of costs created
+ */
+async function materializeDueCosts(now) {
+  const due = await RecurringCost.find({ status: 'active', nextRun: { $lte: now } }).lean();
+  let created = 0;
+
+  for (let i = 0; i < due.length; i++) {
+    let recurring = due[i];
+
+    while (recurring && recurring.nextRun <= now) {
+      if (recurring.endDate && recurring.nextRun > recurring.endDate) {
+        await RecurringCost.updateOne({ _id: recurring._id, status: 'active' }, { $set: { status: 'completed' } });
+        break;
+      }
+
+      const next = recurring.occurrences + 1;
+      const claimed = await RecurringCost.findOneAndUpdate(
+        { _id: recurring._id, status: 'active', occurrences: recurring.occurrences },
+        { $set: { occurrences: next, nextRun: occurrenceDate(recurring.startDate, recurring.interval, next) } },
+        { returnDocument: 'after' }
+      ).lean();
+      if (!claimed) break;  // Paused, cancelled or handled by another run meanwhile
+
+      await new Cost({
+        description: recurring.description,
+        category: recurring.category,
+        userid: recurring.userid,
+        sum: recurring.sum,
+        currency: recurring.currency,
+        createdAt: recurring.nextRun
+      }).save();
+      created++;
+
+      // A caught-up occurrence may belong to a month whose report is already cached
+      await Report.invalidate(recurring.userid, recurring.nextRun);
+
+      if (claimed.endDate && claimed.nextRun > claimed.endDate) {
+        await RecurringCost.updateOne({ _id: claimed._id, status: 'active' }, { $set: { status: 'completed' } });
+        break;
+      }
+      recurring = claimed;
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Turn the planned costs whose date has come into actual costs.
+ * A cost activated late (e.g. after downtime) may belong to a month whose report is already cached.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of costs that became actual
+ */
+async function activatePlannedCosts(now) {
+  const due = await Cost.find({ status: 'planned', createdAt: { $lte: now } }, { userid: 1, createdAt: 1 }).lean();
+  if (due.length === 0) return 0;
+
+  const result = await Cost.updateMany(
+    { _id: { $in: due.map(function (c) { return c._id; }) }, status: 'planned' },
+    { $set: { status: 'actual' } }
+  );
+
+  const months = {};
+  due.forEach(function (c) {
+    const d = new Date(c.createdAt);
+    months[c.userid + '-' + d.getFullYear() + '-' + d.getMonth()] = c;
+  });
+  const keys = Object.keys(months);
+  for (let i = 0; i < keys.length; i++) {
+    await Report.invalidate(months[keys[i]].userid, months[keys[i]].createdAt);
+  }
+
+  return result.modifiedCount;
+}
+
+/**
+ * Start the scheduler of recurring costs and planned costs.
+ * Runs once right away (to catch up after downtime) and then every intervalMs.
+ * Errors are logged and the next run tries again.
+ * @param {number} intervalMs - Time between runs in milliseconds
+ * @returns {Object} The interval timer
+ */
+function startScheduler(intervalMs) {
+  function run() {
+    materializeDueCosts(new Date())
+      .then(function (created) {
+        if (created > 0) console.log('Recurring costs created: ' + created);
+      })
+      .catch(function (err) {
+        console.log('Recurring costs scheduler error:', err.message);
+      });
+
+    activatePlannedCosts(new Date())
+      .then(function (activated) {
+        if (activated > 0) console.log('Planned costs activated: ' + activated);
+      })
+      .catch(function (err) {
+        console.log('Planned costs scheduler error:', err.message);
+      });
+  }
+
+  run();
+  return setInterval(run, intervalMs);
+}
+
+module.exports = {
+  occurrenceDate: occurrenceDate,
+  firstOccurrenceFrom: firstOccurrenceFrom,
+  materializeDueCosts: materializeDueCosts,
+  activatePlannedCosts: activatePlannedCosts,
+  startScheduler: startScheduler
+};
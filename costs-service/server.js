@@ -1,7 +1,32 @@
 ﻿// Import the Express app from app.js
 const app = require('./app');
+const logging = require('../shared/logging');
+const Log = require('./models/log.model');
+const Report = require('./models/report.model');
+const scheduler = require('./scheduler');
 
 // Start the server on the port specified in environment variables
 app.listen(process.env.PORT, function () {
   console.log(process.env.SERVICE_NAME + ' listening on port ' + process.env.PORT);
 });
+
+// Create the costs of recurring cost definitions when they come due (default: every minute)
+scheduler.startScheduler(Number(process.env.RECURRING_INTERVAL_MS) || 60000);
+
+// Convert request logs of the legacy { url, time } shape to the shared shape (see shared/logging.js)
+logging.migrateLegacyLogs(Log)
+  .then(function (count) {
+    if (count > 0) console.log('Migrated ' + count + ' legacy log entries');
+  })
+  .catch(function (err) {
+    console.log('Log migration failed:', err.message);
+  });
+
+// Drop the unique index of cached reports from before yearly/range reports (see report.model.js)
+Report.dropLegacyIndex()
+  .then(function (dropped) {
+    if (dropped) console.log('Dropped the legacy index of cached reports');
+  })
+  .catch(function (err) {
+    console.log('Report index migration failed:', err.message);
+  });
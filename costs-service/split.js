@@ -0,0 +1,174 @@
+﻿/**
+ * Split rules of group costs.
+ * A group cost is paid by its userid and shared by the users in split.shares:
+ * - equal: the sum is divided equally (share values are ignored)
+ * - percentage: each share value is a percentage, together 100
+ * - exact: each share value is an amount, together the sum of the cost
+ * Amounts are rounded to cents; the cents left over by rounding go to the first shares.
+ */
+const SPLIT_TYPES = ['equal', 'percentage', 'exact'];
+
+/**
+ * Convert an amount to whole cents.
+ * @param {number} amount - Amount
+ * @returns {number} Cents
+ */
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+/**
+ * Check the shape of a split sent by the client (no database access).
+ * @param {*} split - { type, shares: [{ userid, value }] }
+ * @returns {string|null} Error message or null if valid
+ */
+function checkShape(split) {
+  if (!split || typeof split !== 'object' || SPLIT_TYPES.indexOf(split.type) === -1) {
+    return 'split.type must be one of: ' + SPLIT_TYPES.join(', ');
+  }
+  if (split.shares === undefined && split.type === 'equal') {
+    return null;
+  }
+  if (!Array.isArray(split.shares) || split.shares.length === 0) {
+    return 'split.shares must be a non-empty array of { userid, value }';
+  }
+  for (let i = 0; i < split.shares.length; i++) {
+    const share = split.shares[i];
+    if (!share || typeof share.userid !== 'number') {
+      return 'split.shares[' + i + '].userid must be a Number';
+    }
+    if (split.type !== 'equal' && (typeof share.value !== 'number' || share.value < 0)) {
+      return 'split.shares[' + i + '].value must be a Number >= 0';
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a split against the group members and the sum of the cost.
+ * @param {Object} split - Split with a valid shape and shares
+ * @param {number} sum - Sum of the cost
+ * @param {Array} members - User IDs of the group members
+ * @returns {string|null} Error message or null if valid
+ */
+function checkShares(split, sum, members) {
+  const seen = [];
+  for (let i = 0; i < split.shares.length; i++) {
+    const userid = split.shares[i].userid;
+    if (members.indexOf(userid) === -1) {
+      return 'User ' + userid + ' in split.shares is not a member of the group';
+    }
+    if (seen.indexOf(userid) !== -1) {
+      return 'User ' + userid + ' appears more than once in split.shares';
+    }
+    seen.push(userid);
+  }
+
+  const total = split.shares.reduce(function (acc, s) { return acc + (s.value || 0); }, 0);
+  if (split.type === 'percentage' && Math.abs(total - 100) > 0.01) {
+    return 'split.shares percentages must add up to 100 (got ' + total + ')';
+  }
+  if (split.type === 'exact' && toCents(total) !== toCents(sum)) {
+    return 'split.shares amounts must add up to the sum ' + sum + ' (got ' + total + ')';
+  }
+  return null;
+}
+
+/**
+ * Divide whole cents by weights, handing the cents left over by rounding to the first shares.
+ * @param {number} cents - Total in cents
+ * @param {Array} weights - Weight of every share (not all 0)
+ * @returns {Array} Cents of every share, together exactly cents
+ */
+function divide(cents, weights) {
+  if (cents < 0) {
+    return divide(-cents, weights).map(function (p) { return -p; });
+  }
+  const totalWeight = weights.reduce(function (acc, w) { return acc + w; }, 0);
+  const parts = weights.map(function (w) { return Math.floor(cents * w / totalWeight); });
+  let left = cents - parts.reduce(function (acc, p) { return acc + p; }, 0);
+  for (let i = 0; left > 0; i = (i + 1) % parts.length) {
+    if (weights[i] > 0) {
+      parts[i]++;
+      left--;
+    }
+  }
+  return parts;
+}
+
+/**
+ * Compute what every user in a split owes of a cost.
+ * @param {Object} split - Valid split { type, shares }
+ * @param {number} sum - Sum of the cost
+ * @returns {Array} [{ userid, amount }] in the order of split.shares
+ */
+function shareAmounts(split, sum) {
+  let cents;
+  if (split.type === 'exact') {
+    cents = split.shares.map(function (s) { return toCents(s.value); });
+  } else {
+    const weights = split.shares.map(function (s) { return split.type === 'equal' ? 1 : s.value; });
+    cents = divide(toCents(sum), weights);
+  }
+  return split.shares.map(function (s, i) {
+    return { userid: s.userid, amount: cents[i] / 100 };
+  });
+}
+
+/**
+ * Scale share amounts to a new total, keeping their proportions
+ * (e.g. after converting the cost to another currency).
+ * @param {Array} amounts - [{ userid, amount }] from shareAmounts
+ * @param {number} total - New total
+ * @returns {Array} [{ userid, amount }] adding up to total
+ */
+function scaleShares(amounts, total) {
+  const weights = amounts.map(function (a) { return Math.abs(a.amount); });
+  if (weights.every(function (w) { return w === 0; })) {
+    return amounts.map(function (a) { return { userid: a.userid, amount: 0 }; });
+  }
+  const cents = divide(toCents(total), weights);
+  return amounts.map(function (a, i) {
+    return { userid: a.userid, amount: cents[i] / 100 };
+  });
+}
+
+/**
+ * Work out who pays whom to settle the balances of a group,
+ * matching the largest debts with the largest credits first.
+ * @param {Array} balances - [{ userid, net }], net > 0 is owed money, net < 0 owes money
+ * @returns {Array} [{ from, to, amount }] payments that bring every net balance to 0
+ */
+function settle(balances) {
+  const debtors = [];
+  const creditors = [];
+  balances.forEach(function (b) {
+    const cents = toCents(b.net);
+    if (cents < 0) debtors.push({ userid: b.userid, cents: -cents });
+    if (cents > 0) creditors.push({ userid: b.userid, cents: cents });
+  });
+  debtors.sort(function (a, b) { return b.cents - a.cents; });
+  creditors.sort(function (a, b) { return b.cents - a.cents; });
+
+  const payments = [];
+  let d = 0;
+  let c = 0;
+  while (d < debtors.length && c < creditors.length) {
+    const cents = Math.min(debtors[d].cents, creditors[c].cents);
+    payments.push({ from: debtors[d].userid, to: creditors[c].userid, amount: cents / 100 });
+    debtors[d].cents -= cents;
+    creditors[c].cents -= cents;
+    if (debtors[d].cents === 0) d++;
+    if (creditors[c].cents === 0) c++;
+  }
+  return payments;
+}
+
+module.exports = {
+  SPLIT_TYPES: SPLIT_TYPES,
+  checkShape: checkShape,
+  checkShares: checkShares,
+  shareAmounts: shareAmounts,
+  scaleShares: scaleShares,
+  settle: settle
+};
@@ -1,13 +1,59 @@
-﻿const request = require('supertest');
+﻿// Sign test tokens with a known secret (set before the app loads .env)
+process.env.JWT_SECRET = 'test-secret';
+// users-service is not started in tests: its answers come from the fetch mock below
+process.env.USERS_SERVICE_URL = 'http://users-service.test';
+
+const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../app');
+const scheduler = require('../scheduler');
+const currency = require('../currency');
+const csv = require('../csv');
+const reportExport = require('../export');
+const split = require('../split');
+const analytics = require('../analytics');
+const forecast = require('../forecast');
+const usersClient = require('../users-client');
+const Report = require('../models/report.model');
+const Category = require('../models/category.model');
+const auth = require('../../shared/auth');
+
+// Authorization headers of an admin and of a regular user (id 5)
+const adminAuth = 'Bearer ' + auth.sign({ sub: 1, role: 'admin' });
+const userAuth = 'Bearer ' + auth.sign({ sub: 5, role: 'user' });
+
+// Users that exist in the mocked users-service
+const existingUsers = [123123];
+
+/**
+ * Answer the calls to users-service (other calls, e.g. to the logs service, just succeed).
+ * @param {string} url - Requested URL
+ * @returns {Promise<Response>} Mocked response
+ */
+async function mockFetch(url) {
+  const parsed = new URL(url);
+  if (parsed.origin === process.env.USERS_SERVICE_URL && parsed.pathname === '/api/users') {
+    const ids = parsed.searchParams.get('ids').split(',').map(Number);
+    const users = existingUsers.filter((id) => ids.includes(id)).map((id) => ({ id: id }));
+    return new Response(JSON.stringify(users), { status: 200 });
+  }
+  if (parsed.origin === process.env.USERS_SERVICE_URL) {
+    return new Response(JSON.stringify({ id: 24, message: 'Group not found' }), { status: 404 });
+  }
+  return new Response(JSON.stringify({ ok: true }), { status: 200 });
+}
 
 /**
  * Test suite for costs-service endpoints.
  */
 describe('costs-service', () => {
+  beforeAll(() => {
+    jest.spyOn(global, 'fetch').mockImplementation(mockFetch);
+  });
+
   // Clean up: Close MongoDB connection after all tests complete
   afterAll(async () => {
+    jest.restoreAllMocks();
     await mongoose.connection.close();
   });
 
@@ -20,7 +66,7 @@ describe('costs-service', () => {
 
   // Test: Report endpoint should return a properly structured report object
   test('GET /api/report returns report shape', async () => {
-    const res = await request(app).get('/api/report?id=123123&year=2026&month=1');
+    const res = await request(app).get('/api/report?id=123123&year=2026&month=1').set('Authorization', adminAuth);
     // Accept either 200 (success) or 400 (validation error)
     expect([200, 400]).toContain(res.statusCode);
 
@@ -34,10 +80,39 @@ describe('costs-service', () => {
     }
   });
 
+  // Test: A cost backdated into a closed month appears in its cached report
+  test('POST /api/add of a backdated cost invalidates the cached report', async () => {
+    const now = new Date();
+    const past = new Date(now.getFullYear(), now.getMonth() - 1, 15, 12);
+    const query = '/api/report?id=123123&year=' + past.getFullYear() + '&month=' + (past.getMonth() + 1);
+    const description = 'backdated ' + Date.now();
+    let costId = null;
+    try {
+      await request(app).put('/api/policy/123123').set('Authorization', adminAuth).send({ backdateDays: 365 });
+      // Cache the report of last month
+      expect((await request(app).get(query).set('Authorization', adminAuth)).statusCode).toBe(200);
+
+      const added = await request(app)
+        .post('/api/add')
+        .set('Authorization', adminAuth)
+        .send({ description: description, category: 'food', userid: 123123, sum: 12, createdAt: past.toISOString() });
+      expect(added.statusCode).toBe(200);
+      costId = added.body._id;
+
+      const res = await request(app).get(query).set('Authorization', adminAuth);
+      const food = res.body.costs.find((c) => c.food).food;
+      expect(food.map((item) => item.description)).toContain(description);
+    } finally {
+      if (costId) await request(app).delete('/api/costs/' + costId).set('Authorization', adminAuth);
+      await request(app).put('/api/policy/123123').set('Authorization', adminAuth).send({ backdateDays: null });
+    }
+  });
+
   // Test: POST /api/add with missing fields should return error
   test('POST /api/add with missing fields returns error', async () => {
     const res = await request(app)
       .post('/api/add')
+      .set('Authorization', adminAuth)
       .send({ description: 'test' });
     expect(res.statusCode).toBe(400);
     expect(res.body).toHaveProperty('id');
@@ -48,6 +123,7 @@ describe('costs-service', () => {
   test('POST /api/add with invalid category returns error', async () => {
     const res = await request(app)
       .post('/api/add')
+      .set('Authorization', adminAuth)
       .send({ description: 'test', category: 'invalid', userid: 123123, sum: 10 });
     expect(res.statusCode).toBe(400);
     expect(res.body).toHaveProperty('id');
@@ -58,17 +134,656 @@ describe('costs-service', () => {
   test('POST /api/add with non-existent user returns error', async () => {
     const res = await request(app)
       .post('/api/add')
+      .set('Authorization', adminAuth)
       .send({ description: 'test', category: 'food', userid: 999999999, sum: 10 });
     expect(res.statusCode).toBe(400);
-    expect(res.body).toHaveProperty('id');
+    expect(res.body).toHaveProperty('id', 8);
     expect(res.body).toHaveProperty('message');
   });
 
   // Test: GET /api/report with invalid params should return error
   test('GET /api/report with invalid month returns error', async () => {
-    const res = await request(app).get('/api/report?id=123123&year=2026&month=13');
+    const res = await request(app).get('/api/report?id=123123&year=2026&month=13').set('Authorization', adminAuth);
     expect(res.statusCode).toBe(400);
     expect(res.body).toHaveProperty('id');
     expect(res.body).toHaveProperty('message');
   });
+
+  // Test: GET /api/costs/:id with invalid id should return error
+  test('GET /api/costs/invalid returns error', async () => {
+    const res = await request(app).get('/api/costs/not-an-id').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 30);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: PATCH /api/costs/:id uses the same validation as POST /api/add
+  test('PATCH /api/costs/:id with invalid category returns error', async () => {
+    const res = await request(app)
+      .patch('/api/costs/000000000000000000000000')
+      .set('Authorization', adminAuth)
+      .send({ category: 'invalid' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 3);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: PATCH /api/costs/:id with no fields should return error
+  test('PATCH /api/costs/:id with empty body returns error', async () => {
+    const res = await request(app)
+      .patch('/api/costs/000000000000000000000000')
+      .set('Authorization', adminAuth)
+      .send({});
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 1);
+  });
+
+  // Test: DELETE /api/costs/:id with invalid id should return error
+  test('DELETE /api/costs/invalid returns error', async () => {
+    const res = await request(app).delete('/api/costs/not-an-id').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 30);
+  });
+
+  // Test: Yearly report with invalid params should return error
+  test('GET /api/report/yearly with invalid year returns error', async () => {
+    const res = await request(app).get('/api/report/yearly?id=123123&year=abc').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 20);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: Range report with invalid dates should return error
+  test('GET /api/report/range with invalid dates returns error', async () => {
+    const res = await request(app).get('/api/report/range?id=123123&from=2025-02-31&to=2025-03-01').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 22);
+  });
+
+  // Test: Range report with from after to should return error
+  test('GET /api/report/range with from after to returns error', async () => {
+    const res = await request(app).get('/api/report/range?id=123123&from=2025-03-01&to=2025-01-01').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 23);
+  });
+
+  // Test: POST /api/categories with missing name should return error
+  test('POST /api/categories with missing name returns error', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', adminAuth)
+      .send({ userid: 123123 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 40);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: A new category invalidates the cached reports (they list every category)
+  test('POST /api/categories invalidates cached reports', async () => {
+    const exists = jest.spyOn(Category, 'exists').mockResolvedValue(null);
+    const save = jest.spyOn(Category.prototype, 'save').mockImplementation(async function () { return this; });
+    const deleteMany = jest.spyOn(Report, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    try {
+      const res = await request(app).post('/api/categories').set('Authorization', adminAuth).send({ name: 'pets' });
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('name', 'pets');
+      expect(deleteMany).toHaveBeenCalledWith({});
+    } finally {
+      exists.mockRestore();
+      save.mockRestore();
+      deleteMany.mockRestore();
+    }
+  });
+
+  // Test: GET /api/categories with invalid userid should return error
+  test('GET /api/categories with invalid userid returns error', async () => {
+    const res = await request(app).get('/api/categories?userid=abc').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 41);
+  });
+
+  // Test: PATCH /api/categories/:id with no fields should return error
+  test('PATCH /api/categories/:id with empty body returns error', async () => {
+    const res = await request(app)
+      .patch('/api/categories/000000000000000000000000')
+      .set('Authorization', adminAuth)
+      .send({});
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 47);
+  });
+
+  // Test: Moving a category to another parent invalidates the cached reports (budgets count children toward their parent)
+  test('PATCH /api/categories/:id of the parent invalidates cached reports', async () => {
+    const category = {
+      _id: '000000000000000000000001',
+      name: 'snacks',
+      userid: 123123,
+      parent: 'food',
+      save: async function () { return this; }
+    };
+    const findById = jest.spyOn(Category, 'findById').mockResolvedValue(category);
+    const deleteMany = jest.spyOn(Report, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    try {
+      const res = await request(app)
+        .patch('/api/categories/000000000000000000000001')
+        .set('Authorization', adminAuth)
+        .send({ parent: null });
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('parent', null);
+      expect(deleteMany).toHaveBeenCalledWith({ userid: 123123 });
+    } finally {
+      findById.mockRestore();
+      deleteMany.mockRestore();
+    }
+  });
+
+  // Test: DELETE /api/categories/:id with invalid id should return error
+  test('DELETE /api/categories/invalid returns error', async () => {
+    const res = await request(app).delete('/api/categories/not-an-id').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 45);
+  });
+
+  // Test: POST /api/recurring with missing fields should return error
+  test('POST /api/recurring with missing fields returns error', async () => {
+    const res = await request(app)
+      .post('/api/recurring')
+      .set('Authorization', adminAuth)
+      .send({ description: 'rent', interval: 'monthly' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 1);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: GET /api/recurring with invalid userid should return error
+  test('GET /api/recurring with invalid userid returns error', async () => {
+    const res = await request(app).get('/api/recurring?userid=abc').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 4);
+  });
+
+  // Test: Pausing a recurring cost with invalid id should return error
+  test('POST /api/recurring/invalid/pause returns error', async () => {
+    const res = await request(app).post('/api/recurring/not-an-id/pause').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 53);
+  });
+
+  // Test: Monthly occurrences keep the start day, clamped to shorter months
+  test('scheduler.occurrenceDate clamps monthly occurrences to the month end', () => {
+    const start = new Date(2026, 0, 31, 9, 0, 0, 0);
+    expect(scheduler.occurrenceDate(start, 'monthly', 1)).toEqual(new Date(2026, 1, 28, 9, 0, 0, 0));
+    expect(scheduler.occurrenceDate(start, 'monthly', 2)).toEqual(new Date(2026, 2, 31, 9, 0, 0, 0));
+    expect(scheduler.occurrenceDate(start, 'weekly', 1)).toEqual(new Date(2026, 1, 7, 9, 0, 0, 0));
+    expect(scheduler.occurrenceDate(start, 'yearly', 2)).toEqual(new Date(2028, 0, 31, 9, 0, 0, 0));
+  });
+
+  // Test: POST /api/add with invalid currency should return error
+  test('POST /api/add with invalid currency returns error', async () => {
+    const res = await request(app)
+      .post('/api/add')
+      .set('Authorization', adminAuth)
+      .send({ description: 'test', category: 'food', userid: 123123, sum: 10, currency: 'XYZ' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 9);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: GET /api/report with invalid currency should return error
+  test('GET /api/report with invalid currency returns error', async () => {
+    const res = await request(app).get('/api/report?id=123123&year=2026&month=1&currency=dollars').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 24);
+  });
+
+  // Test: POST /api/rates with invalid rate should return error
+  test('POST /api/rates with invalid rate returns error', async () => {
+    const res = await request(app)
+      .post('/api/rates')
+      .set('Authorization', adminAuth)
+      .send({ currency: 'USD', rate: -1 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 61);
+  });
+
+  // Test: Conversion uses the rate in effect on the cost's date
+  test('currency converter uses the rate in effect on the date', () => {
+    const convert = currency.createConverter([
+      { currency: 'USD', rate: 3.5, date: new Date('2026-01-01') },
+      { currency: 'USD', rate: 4, date: new Date('2026-02-01') },
+      { currency: 'EUR', rate: 4, date: new Date('2026-01-01') }
+    ], 'ILS');
+    expect(convert(10, 'USD', 'ILS', new Date('2026-01-15'))).toBe(35);
+    expect(convert(10, 'USD', 'ILS', new Date('2026-02-15'))).toBe(40);
+    expect(convert(10, 'USD', 'EUR', new Date('2026-02-15'))).toBe(10);
+    expect(convert(10, 'USD', 'ILS', new Date('2025-12-31'))).toBeNull();
+  });
+
+  // Test: POST /api/budgets with invalid month should return error
+  test('POST /api/budgets with invalid month returns error', async () => {
+    const res = await request(app)
+      .post('/api/budgets')
+      .set('Authorization', adminAuth)
+      .send({ userid: 123123, category: 'food', year: 2026, month: 13, limit: 1500 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 74);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: POST /api/budgets with invalid limit should return error
+  test('POST /api/budgets with invalid limit returns error', async () => {
+    const res = await request(app)
+      .post('/api/budgets')
+      .set('Authorization', adminAuth)
+      .send({ userid: 123123, category: 'food', year: 2026, month: 3, limit: 0 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 75);
+  });
+
+  // Test: GET /api/budgets with invalid query should return error
+  test('GET /api/budgets with invalid userid returns error', async () => {
+    const res = await request(app).get('/api/budgets?userid=abc').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 70);
+  });
+
+  // Test: DELETE /api/budgets/:id with invalid id should return error
+  test('DELETE /api/budgets/invalid returns error', async () => {
+    const res = await request(app).delete('/api/budgets/not-an-id').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 78);
+  });
+
+  // Test: POST /api/import with a body that is not an array should return error
+  test('POST /api/import with non-array JSON returns error', async () => {
+    const res = await request(app)
+      .post('/api/import')
+      .set('Authorization', adminAuth)
+      .send({ description: 'test' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 90);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: POST /api/import with an empty CSV should return error
+  test('POST /api/import with empty CSV returns error', async () => {
+    const res = await request(app)
+      .post('/api/import')
+      .set('Authorization', adminAuth)
+      .set('Content-Type', 'text/csv')
+      .send('description,category,userid,sum\n');
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 90);
+  });
+
+  // Test: CSV parser handles quoted fields, doubled quotes and CRLF
+  test('csv.parse reads quoted fields', () => {
+    const rows = csv.parse('description,category,userid,sum\r\n"milk, eggs",food,1,"12.5"\r\n"say ""hi""",food,1,\r\n');
+    expect(rows).toEqual([
+      { description: 'milk, eggs', category: 'food', userid: '1', sum: '12.5' },
+      { description: 'say "hi"', category: 'food', userid: '1' }
+    ]);
+  });
+
+  // Test: GET /api/report with unknown format should return error
+  test('GET /api/report with invalid format returns error', async () => {
+    const res = await request(app).get('/api/report?id=123123&year=2026&month=1&format=pdf').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 26);
+  });
+
+  // Test: Monthly report exports one CSV line per cost item
+  test('export.toCsv renders a monthly report', () => {
+    const text = reportExport.toCsv({
+      userid: 1, year: 2026, month: 3, currency: 'ILS',
+      costs: [{ food: [{ sum: 12.5, description: 'milk, eggs', day: 4 }] }, { health: [] }]
+    });
+    expect(text).toBe('\uFEFFuserid,year,month,category,day,description,sum,currency\r\n1,2026,3,food,4,"milk, eggs",12.5,ILS\r\n');
+  });
+
+  // Test: HTML statement escapes text and shows the totals per category
+  test('export.toHtml renders a printable statement', () => {
+    const html = reportExport.toHtml({
+      userid: 1, year: 2026, month: 3, currency: 'ILS',
+      costs: [{ food: [{ sum: 10, description: '<b>milk</b>', day: 4 }, { sum: 5, description: 'bread', day: 5 }] }]
+    });
+    expect(html).toContain('<title>Cost statement - March 2026</title>');
+    expect(html).toContain('&lt;b&gt;milk&lt;/b&gt;');
+    expect(html).toContain('<td class="num">15.00</td>');
+  });
+
+  // Test: GET /api/costs with invalid sort should return error
+  test('GET /api/costs with invalid sort returns error', async () => {
+    const res = await request(app).get('/api/costs?userid=123123&sort=description').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 103);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: GET /api/costs with invalid date range should return error
+  test('GET /api/costs with invalid from returns error', async () => {
+    const res = await request(app).get('/api/costs?from=yesterday').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 101);
+  });
+
+  // Test: GET /api/costs with invalid cursor should return error
+  test('GET /api/costs with invalid cursor returns error', async () => {
+    const res = await request(app).get('/api/costs?cursor=not-a-cursor').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 105);
+  });
+
+  // Test: API endpoints without a token should be rejected
+  test('GET /api/report without token returns 401', async () => {
+    const res = await request(app).get('/api/report?id=123123&year=2026&month=1');
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toHaveProperty('id', 401);
+  });
+
+  // Test: Adding a cost for another user should be forbidden
+  test('POST /api/add for another user returns 403', async () => {
+    const res = await request(app)
+      .post('/api/add')
+      .set('Authorization', userAuth)
+      .send({ description: 'milk', category: 'food', userid: 123123, sum: 8 });
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toHaveProperty('id', 403);
+  });
+
+  // Test: Reading another user's report should be forbidden
+  test('GET /api/report of another user returns 403', async () => {
+    const res = await request(app).get('/api/report?id=123123&year=2026&month=1').set('Authorization', userAuth);
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toHaveProperty('id', 403);
+  });
+
+  // Test: Searching costs of another user should be forbidden
+  test('GET /api/costs of another user returns 403', async () => {
+    const res = await request(app).get('/api/costs?userid=123123').set('Authorization', userAuth);
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: Only admins may change exchange rates
+  test('POST /api/rates as regular user returns 403', async () => {
+    const res = await request(app)
+      .post('/api/rates')
+      .set('Authorization', userAuth)
+      .send({ currency: 'USD', rate: 3.7 });
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: POST /api/add with an invalid group id should return error
+  test('POST /api/add with invalid group returns error', async () => {
+    const res = await request(app)
+      .post('/api/add')
+      .set('Authorization', adminAuth)
+      .send({ description: 'pizza', category: 'food', userid: 123123, sum: 90, group: 'family' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 10);
+  });
+
+  // Test: POST /api/add with an unknown split type should return error
+  test('POST /api/add with invalid split returns error', async () => {
+    const res = await request(app)
+      .post('/api/add')
+      .set('Authorization', adminAuth)
+      .send({ description: 'pizza', category: 'food', userid: 123123, sum: 90, group: '000000000000000000000000', split: { type: 'half' } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 11);
+  });
+
+  // Test: GET /api/balance with an invalid group id should return error
+  test('GET /api/balance with invalid group returns error', async () => {
+    const res = await request(app).get('/api/balance?group=family').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 110);
+  });
+
+  // Test: GET /api/report/group with invalid month should return error
+  test('GET /api/report/group with invalid month returns error', async () => {
+    const res = await request(app).get('/api/report/group?group=000000000000000000000000&year=2026&month=13').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 21);
+  });
+
+  // Test: Split amounts add up to the sum, and settlements bring balances to 0
+  test('split.shareAmounts and split.settle balance a group', () => {
+    const amounts = split.shareAmounts({ type: 'equal', shares: [{ userid: 1 }, { userid: 2 }, { userid: 3 }] }, 100);
+    expect(amounts.map((a) => a.amount)).toEqual([33.34, 33.33, 33.33]);
+    expect(split.shareAmounts({ type: 'percentage', shares: [{ userid: 1, value: 75 }, { userid: 2, value: 25 }] }, 80)
+      .map((a) => a.amount)).toEqual([60, 20]);
+    expect(split.checkShares({ type: 'exact', shares: [{ userid: 1, value: 10 }] }, 20, [1, 2])).not.toBeNull();
+
+    // User 1 paid 100 for all three
+    expect(split.settle([{ userid: 1, net: 66.66 }, { userid: 2, net: -33.33 }, { userid: 3, net: -33.33 }]))
+      .toEqual([{ from: 2, to: 1, amount: 33.33 }, { from: 3, to: 1, amount: 33.33 }]);
+  });
+
+  // Test: GET /api/costs/total without a userid should return error
+  test('GET /api/costs/total without userid returns error', async () => {
+    const res = await request(app).get('/api/costs/total').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 107);
+  });
+
+  // Test: Only admins and services may delete the data of a user
+  test('DELETE /api/userdata/:userid as regular user returns 403', async () => {
+    const res = await request(app).delete('/api/userdata/5').set('Authorization', userAuth);
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: DELETE /api/userdata/:userid with unknown mode should return error
+  test('DELETE /api/userdata/:userid with invalid mode returns error', async () => {
+    const res = await request(app).delete('/api/userdata/123123?mode=soft').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 108);
+  });
+
+  // Test: Calls to users-service carry the X-Request-Id of the request
+  test('POST /api/add forwards X-Request-Id to users-service', async () => {
+    global.fetch.mockClear();
+    const res = await request(app)
+      .post('/api/add')
+      .set('Authorization', adminAuth)
+      .set('X-Request-Id', 'trace-add-1')
+      .send({ description: 'test', category: 'food', userid: 999999998, sum: 10 });
+    expect(res.headers['x-request-id']).toBe('trace-add-1');
+    const call = global.fetch.mock.calls.find((args) => args[0].startsWith(process.env.USERS_SERVICE_URL));
+    expect(call[1].headers['X-Request-Id']).toBe('trace-add-1');
+  });
+
+  // Test: Many users are looked up in several calls so the query string stays short
+  test('usersClient.findUsers looks up users in chunks', async () => {
+    global.fetch.mockClear();
+    const ids = [123123];
+    for (let i = 1; i < 450; i++) ids.push(800000 + i);
+    expect(await usersClient.findUsers(ids)).toEqual([123123]);
+    const calls = global.fetch.mock.calls.filter((args) => args[0].startsWith(process.env.USERS_SERVICE_URL));
+    expect(calls).toHaveLength(3);
+    calls.forEach((args) => expect(new URL(args[0]).searchParams.get('ids').split(',').length).toBeLessThanOrEqual(200));
+  });
+
+  // Test: Counts are for admins and services only
+  test('GET /api/stats as regular user returns 403', async () => {
+    const res = await request(app).get('/api/stats').set('Authorization', userAuth);
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: Metrics are in the Prometheus text format and count report cache lookups
+  test('GET /metrics returns Prometheus metrics', async () => {
+    await request(app).get('/health');
+    const res = await request(app).get('/metrics');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toMatch(/^http_requests_total\{method="GET",route="\/health",status="200"\} \d+$/m);
+    expect(res.text).toMatch(/^http_request_duration_seconds_bucket\{method="GET",route="\/health",status="200",le="\+Inf"\} \d+$/m);
+    expect(res.text).toContain('# TYPE report_cache_requests_total counter');
+    expect(res.text).toMatch(/^mongodb_connection_state \d$/m);
+  });
+
+  // Test: Analytics with an invalid number of top expenses should return error
+  test('GET /api/analytics with invalid top returns error', async () => {
+    const res = await request(app).get('/api/analytics?id=123123&top=0').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 27);
+  });
+
+  // Test: Analytics with from after to should return error
+  test('GET /api/analytics with from after to returns error', async () => {
+    const res = await request(app).get('/api/analytics?id=123123&from=2025-03-01&to=2025-01-01').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 23);
+  });
+
+  // Test: Analytics periods are compared with the same days one month and one year earlier
+  test('analytics.comparisonPeriods shifts by calendar months', () => {
+    const periods = analytics.comparisonPeriods(new Date(2024, 2, 1), new Date(2024, 3, 1));
+    expect(periods.map((p) => p.key)).toEqual(['current', 'previousMonth', 'previousYear']);
+    expect(analytics.formatDay(periods[1].start)).toBe('2024-02-01');
+    expect(analytics.formatDay(periods[2].end)).toBe('2023-04-01');
+    expect(analytics.formatDay(analytics.shiftMonths(new Date(2024, 2, 31), -1))).toBe('2024-02-29');
+  });
+
+  // Test: Analytics summary has category shares, deltas, average daily spend and top expenses
+  test('analytics.summarize computes shares, deltas and top expenses', () => {
+    const periods = analytics.comparisonPeriods(new Date(2025, 3, 1), new Date(2025, 3, 11));
+    const totals = [
+      { period: 'current', category: 'food', sum: 75, count: 3 },
+      { period: 'current', category: 'health', sum: 25, count: 1 },
+      { period: 'previousMonth', category: 'food', sum: 50, count: 2 }
+    ];
+    const top = [
+      { id: 'a', description: 'pizza', category: 'food', sum: 30, createdAt: new Date(2025, 3, 2) },
+      { id: 'b', description: 'dentist', category: 'health', sum: 25, createdAt: new Date(2025, 3, 3) },
+      { id: 'c', description: 'salad', category: 'food', sum: 45, createdAt: new Date(2025, 3, 4) }
+    ];
+    const summary = analytics.summarize(periods, totals, top, 2);
+    expect(summary).toMatchObject({ days: 10, total: 100, count: 4, averageDaily: 10 });
+    expect(summary.categories).toEqual([
+      { category: 'food', total: 75, count: 3, percent: 75 },
+      { category: 'health', total: 25, count: 1, percent: 25 }
+    ]);
+    expect(summary.comparison.previousMonth).toMatchObject({ from: '2025-03-01', to: '2025-03-10', total: 50, delta: 50, deltaPercent: 100 });
+    expect(summary.comparison.previousYear).toMatchObject({ total: 0, delta: 100, deltaPercent: null });
+    expect(summary.top.map((t) => t.id)).toEqual(['c', 'a']);
+  });
+
+  // Test: Anomalies of an invalid month should return error
+  test('GET /api/anomalies with invalid month returns error', async () => {
+    const res = await request(app).get('/api/anomalies?id=123123&year=2025&month=13').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 21);
+  });
+
+  // Test: Forecast of another user should return 403
+  test('GET /api/forecast of another user returns 403', async () => {
+    const res = await request(app).get('/api/forecast?id=123123').set('Authorization', userAuth);
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: Forecast blends the pace of the month with the average of the previous months
+  test('forecast.forecast projects the month per category', () => {
+    const now = new Date(2025, 3, 15);
+    const history = [
+      { category: 'food', sum: 300, createdAt: new Date(2025, 1, 10) },
+      { category: 'food', sum: 300, createdAt: new Date(2025, 2, 10) }
+    ];
+    const current = [
+      { category: 'food', sum: 200 },
+      { category: 'health', sum: 60 }
+    ];
+    const result = forecast.forecast(history, current, now);
+    expect(result).toMatchObject({ daysElapsed: 15, daysInMonth: 30, historyMonths: 2, spent: 260 });
+    // food: half of the month elapsed, pace 400 and average 300
+    expect(result.categories[0]).toEqual({ category: 'food', spent: 200, average: 300, forecast: 350 });
+    // health: no history, spent is always at least what was spent
+    expect(result.categories[1]).toEqual({ category: 'health', spent: 60, average: 0, forecast: 60 });
+  });
+
+  // Test: A cost far above the usual sums of its category is anomalous
+  test('forecast.anomaly flags sums far above the usual', () => {
+    const history = [40, 50, 60, 45, 55].map((sum) => ({ category: 'food', sum: sum }));
+    const stats = forecast.categoryStats(history);
+    expect(forecast.anomaly({ category: 'food', sum: 70 }, stats)).toBeNull();
+    expect(forecast.anomaly({ category: 'food', sum: 500 }, stats)).toMatchObject({ usual: 50, ratio: 10 });
+    // Too little history to tell
+    expect(forecast.anomaly({ category: 'health', sum: 500 }, stats)).toBeNull();
+    expect(forecast.anomaly({ category: 'food', sum: 500 }, forecast.categoryStats(history.slice(0, 4)))).toBeNull();
+  });
+
+  // Test: Usual sums grouped by currency combine to the usual sums of all of them
+  test('forecast.mergeStats combines grouped stats', () => {
+    const sums = [40, 50, 60, 45, 55];
+    const all = forecast.categoryStats(sums.map((sum) => ({ category: 'food', sum: sum }))).food;
+    const groups = [sums.slice(0, 2), sums.slice(2)].map((part) =>
+      forecast.categoryStats(part.map((sum) => ({ category: 'food', sum: sum }))).food);
+    const merged = forecast.mergeStats(groups);
+    expect(merged.count).toBe(5);
+    expect(merged.mean).toBeCloseTo(all.mean);
+    expect(merged.stddev).toBeCloseTo(all.stddev);
+    expect(forecast.mergeStats([])).toBeNull();
+  });
+
+  // Test: GET /api/costs with invalid status should return error
+  test('GET /api/costs with invalid status returns error', async () => {
+    const res = await request(app).get('/api/costs?userid=123123&status=done').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 112);
+  });
+
+  // Test: Only admins set date policies
+  test('PUT /api/policy/:userid as regular user returns 403', async () => {
+    const res = await request(app).put('/api/policy/5').set('Authorization', userAuth).send({ backdateDays: 30 });
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: PUT /api/policy/:userid with invalid backdateDays should return error
+  test('PUT /api/policy/:userid with invalid backdateDays returns error', async () => {
+    const res = await request(app).put('/api/policy/123123').set('Authorization', adminAuth).send({ backdateDays: 1.5 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 121);
+  });
+
+  // Test: Date policy of another user should return 403
+  test('GET /api/policy of another user returns 403', async () => {
+    const res = await request(app).get('/api/policy?id=123123').set('Authorization', userAuth);
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: HTML statement lists planned costs separately
+  test('export.toHtml lists planned costs', () => {
+    const html = reportExport.toHtml({
+      userid: 1, year: 2026, month: 3, currency: 'ILS',
+      costs: [{ food: [{ sum: 10, description: 'milk', day: 4 }] }],
+      planned: [{ food: [] }, { housing: [{ sum: 900, description: 'rent', day: 28 }] }]
+    });
+    expect(html).toContain('<h2>Planned</h2>');
+    expect(html).toContain('<td>housing</td><td>rent</td><td class="num">900.00</td>');
+    // Planned costs are not in the totals
+    expect(html).toContain('<tfoot><tr><th>Total</th><th class="num">10.00</th></tr></tfoot>');
+  });
+
+  // Test: The legacy unique index of cached reports is dropped, other indexes are kept
+  test('Report.dropLegacyIndex drops only the legacy index', async () => {
+    const dropped = [];
+    const collection = {
+      indexes: async () => [
+        { name: '_id_', key: { _id: 1 } },
+        { name: 'userid_1_year_1_month_1', key: { userid: 1, year: 1, month: 1 }, unique: true },
+        { name: 'userid_1_kind_1_year_1_month_1_from_1_to_1', key: { userid: 1, kind: 1, year: 1, month: 1, from: 1, to: 1 } }
+      ],
+      dropIndex: async (name) => { dropped.push(name); }
+    };
+    expect(await Report.dropLegacyIndex.call({ collection: collection })).toBe(true);
+    expect(dropped).toEqual(['userid_1_year_1_month_1']);
+  });
+
+  // Test: Reports cached before the current layout are not returned from the cache
+  test('Report.isCurrent accepts only reports of the current layout', () => {
+    const report = new Report({ userid: 1, year: 2025, month: 1, report: {}, createdAt: new Date() }).toObject();
+    expect(Report.isCurrent(report)).toBe(true);
+    delete report.version;
+    expect(Report.isCurrent(report)).toBe(false);
+  });
 });
@@ -0,0 +1,88 @@
+﻿/**
+ * Client of users-service, used instead of reading its users and groups collections.
+ * Answers are cached for USERS_CACHE_TTL_MS (default 30000), so a burst of /api/add calls
+ * for the same user makes one call to users-service. Only found users and groups are cached:
+ * a user registered a moment ago is seen right away, a deleted one may be seen until its entry expires.
+ */
+const serviceClient = require('../shared/service-client');
+
+// Default lifetime of cached answers in milliseconds
+const DEFAULT_CACHE_TTL_MS = 30000;
+
+// Users looked up per call to users-service, so the query string stays well below header limits
+// (an import may check up to 10000 users)
+const LOOKUP_CHUNK = 200;
+
+const cache = serviceClient.createCache(Number(process.env.USERS_CACHE_TTL_MS) || DEFAULT_CACHE_TTL_MS);
+
+/**
+ * Call users-service.
+ * @param {string} path - Path including the query string
+ * @returns {Promise<Object>} { status, body }
+ */
+function get(path) {
+  return serviceClient.request(process.env.USERS_SERVICE_URL, 'GET', path);
+}
+
+/**
+ * Find which of the given users exist.
+ * Users not in the cache are looked up LOOKUP_CHUNK at a time.
+ * @param {Array} ids - User IDs (Numbers)
+ * @returns {Promise<Array>} The ids that belong to existing users
+ * @throws {Error} If users-service cannot be reached or fails
+ */
+async function findUsers(ids) {
+  const found = ids.filter(function (id) { return cache.get('user:' + id); });
+  const known = new Set(found);
+  const unknown = ids.filter(function (id) { return !known.has(id); });
+
+  for (let i = 0; i < unknown.length; i += LOOKUP_CHUNK) {
+    const chunk = unknown.slice(i, i + LOOKUP_CHUNK);
+    const res = await get('/api/users?ids=' + chunk.join(','));
+    if (res.status !== 200 || !Array.isArray(res.body)) {
+      throw new Error('users-service answered ' + res.status + ' to the users lookup');
+    }
+
+    const asked = new Set(chunk);
+    res.body.forEach(function (user) {
+      cache.set('user:' + user.id, true);
+      if (asked.has(user.id)) found.push(user.id);
+    });
+  }
+  return found;
+}
+
+/**
+ * Check that a user exists.
+ * @param {number} id - User ID
+ * @returns {Promise<boolean>} True if the user exists
+ */
+async function userExists(id) {
+  return (await findUsers([id])).length === 1;
+}
+
+/**
+ * Load a group.
+ * @param {string} id - Group _id
+ * @returns {Promise<Object|null>} Group { _id, name, members: [{ userid, role }] } or null if not found
+ * @throws {Error} If users-service cannot be reached or fails
+ */
+async function getGroup(id) {
+  const cached = cache.get('group:' + id);
+  if (cached) return cached;
+
+  const res = await get('/api/groups/' + encodeURIComponent(id));
+  if (res.status === 404) return null;
+  if (res.status !== 200 || !res.body) {
+    throw new Error('users-service answered ' + res.status + ' to the group lookup');
+  }
+
+  cache.set('group:' + id, res.body);
+  return res.body;
+}
+
+module.exports = {
+  findUsers: findUsers,
+  userExists: userExists,
+  getGroup: getGroup
+};
@@ -0,0 +1,120 @@
+﻿// Load environment variables from .env file
+require('dotenv').config();
+const express = require('express');
+const pinoHttp = require('pino-http');
+const pkg = require('./package.json');
+const auth = require('../shared/auth');
+const requestContext = require('../shared/request-context');
+const health = require('../shared/health');
+const metrics = require('../shared/metrics');
+const logging = require('../shared/logging');
+const routes = require('./routes');
+const rateLimit = require('./rate-limit');
+const proxy = require('./proxy');
+
+const app = express();
+// Request logs are sent to logs-service (the gateway has no database)
+const logger = logging.createLogger({ remote: true });
+
+// Middleware: Accept or generate the X-Request-Id (see shared/request-context.js)
+app.use(requestContext.middleware);
+// Middleware: HTTP request logging using pino (logged with the request id)
+app.use(pinoHttp({ genReqId: requestContext.genReqId }));
+// Middleware: Track request timing and send logs to logs service
+app.use(logger.middleware);
+
+/**
+ * Helper function to send standardized error responses.
+ * @param {Object} res - Express response object
+ * @param {number} id - Error ID code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code (defaults to 400)
+ */
+function sendError(res, id, message, statusCode) {
+  res.status(statusCode || 400).json({ id: id, message: message });
+}
+
+/**
+ * Health check endpoint.
+ * Returns the status of the gateway and of every backend (status, latency, version, MongoDB state).
+ * status is 'degraded' when a backend is not healthy.
+ */
+app.get('/health', async function (req, res) {
+  try {
+    const backends = await Promise.all(Object.keys(routes.BACKENDS).map(function (name) {
+      return health.check(name, process.env[routes.BACKENDS[name]]);
+    }));
+
+    res.json({
+      service: process.env.SERVICE_NAME,
+      status: backends.every(function (b) { return b.status === 'ok'; }) ? 'ok' : 'degraded',
+      version: pkg.version,
+      backends: backends
+    });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Metrics endpoint (Prometheus text format, see shared/metrics.js).
+ * Forwarded requests are labelled with the backend as route (e.g. route="costs-service").
+ */
+app.get('/metrics', metrics.handler());
+
+/**
+ * Middleware: Find the backend of the request (see routes.js) and keep it as req.backend.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function findRoute(req, res, next) {
+  const route = routes.resolve(req);
+  if (!route) {
+    return sendError(res, 1, 'No service for ' + req.method + ' ' + req.originalUrl.split('?')[0], 404);
+  }
+  req.backend = route;
+  req.metricsRoute = route.name;
+  next();
+}
+
+/**
+ * Middleware: Check the token once for every backend. Public routes accept requests
+ * without a token; a token that is sent must still be valid.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function checkToken(req, res, next) {
+  return auth.authenticate({ optional: req.backend.public })(req, res, next);
+}
+
+/*
+  /api/*
+  Forwards the request to its backend (users, costs, logs or admin service) after the token
+  check and the per-client rate limit. The backends still check roles and ownership.
+  POST /api/add goes to users-service when the body is a user (has first_name), otherwise to costs-service.
+*/
+app.use('/api',
+  // Keep the body as it was sent (JSON, CSV, ...)
+  express.raw({ type: function () { return true; }, limit: '5mb' }),
+  findRoute,
+  checkToken,
+  rateLimit.createRateLimiter(function (res, retryAfter) {
+    sendError(res, 2, 'Too many requests, retry in ' + retryAfter + ' seconds', 429);
+  }),
+  async function (req, res) {
+    try {
+      if (!req.backend.baseUrl) {
+        return sendError(res, 3, req.backend.name + ' is not configured', 502);
+      }
+      await proxy.forward(req, res, req.backend.baseUrl);
+    } catch (err) {
+      if (res.headersSent) return res.destroy();
+      if (res.destroyed) return;
+      return sendError(res, 3, req.backend.name + ' is unavailable (' + err.message + ')', 502);
+    }
+  }
+);
+
+module.exports = app;
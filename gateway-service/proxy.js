@@ -0,0 +1,74 @@
+/**
+ * Forwarding of a request to a backend service.
+ * - The body is passed through unchanged (req.body is the raw Buffer)
+ * - The answer is streamed back, so Server-Sent Events (GET /api/logs/stream) work through the gateway
+ * - X-Request-Id and X-Forwarded-For are set; hop-by-hop headers are not forwarded
+ * - A backend that does not answer within GATEWAY_TIMEOUT_MS (default 10000) is reported as unavailable
+ */
+const { Readable } = require('stream');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Headers that only apply to one connection (or that fetch sets itself)
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', 'host', 'content-length', 'accept-encoding'];
+
+/**
+ * Forward a request to a backend and send its answer.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} baseUrl - Base URL of the backend
+ * @returns {Promise<void>} Resolves when the answer started streaming
+ * @throws {Error} If the backend cannot be reached (nothing has been sent yet)
+ */
+async function forward(req, res, baseUrl) {
+  const headers = {};
+  Object.keys(req.headers).forEach(function (name) {
+    if (HOP_BY_HOP.indexOf(name) === -1) headers[name] = req.headers[name];
+  });
+  headers['x-request-id'] = req.id;
+  headers['x-forwarded-for'] = req.headers['x-forwarded-for'] ? req.headers['x-forwarded-for'] + ', ' + req.ip : req.ip;
+
+  // Abort when the backend is too slow to answer, or when the client goes away
+  const controller = new AbortController();
+  const timer = setTimeout(function () {
+    controller.abort(new Error('no answer within the gateway timeout'));
+  }, Number(process.env.GATEWAY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS);
+  res.on('close', function () {
+    controller.abort();
+  });
+
+  const hasBody = req.method !== 'GET' && req.method !== 'HEAD' && Buffer.isBuffer(req.body) && req.body.length > 0;
+  let upstream;
+  try {
+    upstream = await fetch(baseUrl + req.originalUrl, {
+      method: req.method,
+      headers: headers,
+      body: hasBody ? req.body : undefined,
+      redirect: 'manual',
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  res.status(upstream.status);
+  upstream.headers.forEach(function (value, name) {
+    // fetch already decoded the body, so its encoding and length no longer apply
+    if (HOP_BY_HOP.indexOf(name) === -1 && name !== 'content-encoding') res.setHeader(name, value);
+  });
+
+  if (!upstream.body) {
+    res.end();
+    return;
+  }
+  Readable.fromWeb(upstream.body)
+    .on('error', function () {
+      res.destroy();
+    })
+    .pipe(res);
+}
+
+module.exports = {
+  forward: forward
+};
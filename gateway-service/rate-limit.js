@@ -0,0 +1,69 @@
+/**
+ * Per-client rate limit of the gateway (fixed window, kept in memory).
+ * A client is the authenticated user (req.user) or, without a token, the IP address.
+ * - RATE_LIMIT_MAX requests (default 100) per RATE_LIMIT_WINDOW_MS (default 60000)
+ * - Every answer has X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset (epoch seconds)
+ * - Over the limit: 429 with Retry-After (seconds)
+ * Counters are per gateway instance.
+ */
+
+const DEFAULT_MAX = 100;
+const DEFAULT_WINDOW_MS = 60000;
+
+// Number of clients kept before expired windows are removed
+const SWEEP_SIZE = 10000;
+
+/**
+ * Helper function: Key of the client of a request.
+ * @param {Object} req - Express request object
+ * @returns {string} Client key
+ */
+function clientKey(req) {
+  return req.user ? 'user:' + req.user.role + ':' + req.user.id : 'ip:' + req.ip;
+}
+
+/**
+ * Create the rate limit middleware.
+ * @param {Function} onLimit - Called with (res, retryAfterSeconds) when a client is over the limit
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter(onLimit) {
+  const windows = new Map();
+
+  return function (req, res, next) {
+    const max = Number(process.env.RATE_LIMIT_MAX) || DEFAULT_MAX;
+    const windowMs = Number(process.env.RATE_LIMIT_WINDOW_MS) || DEFAULT_WINDOW_MS;
+    const now = Date.now();
+
+    if (windows.size >= SWEEP_SIZE) {
+      windows.forEach(function (w, key) {
+        if (w.resetAt <= now) windows.delete(key);
+      });
+    }
+
+    const key = clientKey(req);
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(key, w);
+    }
+    w.count++;
+
+    res.set({
+      'X-RateLimit-Limit': String(max),
+      'X-RateLimit-Remaining': String(Math.max(max - w.count, 0)),
+      'X-RateLimit-Reset': String(Math.ceil(w.resetAt / 1000))
+    });
+
+    if (w.count > max) {
+      const retryAfter = Math.ceil((w.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return onLimit(res, retryAfter);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter: createRateLimiter
+};
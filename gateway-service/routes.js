@@ -0,0 +1,75 @@
+/**
+ * Routing table of the gateway: which backend serves a path, and whether it needs a token.
+ * Backend URLs come from USERS_SERVICE_URL, COSTS_SERVICE_URL, LOGS_SERVICE_URL and ADMIN_SERVICE_URL.
+ * Internal endpoints (e.g. /api/stats, /api/userdata) are not routed: services call each other directly.
+ */
+
+// Environment variable holding the base URL of each backend
+const BACKENDS = {
+  'users-service': 'USERS_SERVICE_URL',
+  'costs-service': 'COSTS_SERVICE_URL',
+  'logs-service': 'LOGS_SERVICE_URL',
+  'admin-service': 'ADMIN_SERVICE_URL'
+};
+
+/**
+ * Helper function: Check if a POST /api/add body is a new user (users-service) rather than a cost.
+ * @param {Object} req - Express request object (raw body)
+ * @returns {boolean} True if the body has the fields of a user
+ */
+function isNewUser(req) {
+  try {
+    const body = JSON.parse(req.body.toString('utf8'));
+    return !!body && body.first_name !== undefined;
+  } catch (e) {
+    return false;
+  }
+}
+
+// First matching route wins. public routes are forwarded without a token.
+const ROUTES = [
+  { prefix: '/api/add', backend: 'users-service', public: true, when: isNewUser },
+  { prefix: '/api/add', backend: 'costs-service' },
+  { prefix: '/api/login', backend: 'users-service', public: true },
+  { prefix: '/api/users', backend: 'users-service' },
+  { prefix: '/api/groups', backend: 'users-service' },
+  { prefix: '/api/costs', backend: 'costs-service' },
+  { prefix: '/api/import', backend: 'costs-service' },
+  { prefix: '/api/categories', backend: 'costs-service' },
+  { prefix: '/api/recurring', backend: 'costs-service' },
+  { prefix: '/api/rates', backend: 'costs-service' },
+  { prefix: '/api/budgets', backend: 'costs-service' },
+  { prefix: '/api/balance', backend: 'costs-service' },
+  { prefix: '/api/report', backend: 'costs-service' },
+  { prefix: '/api/analytics', backend: 'costs-service' },
+  { prefix: '/api/forecast', backend: 'costs-service' },
+  { prefix: '/api/anomalies', backend: 'costs-service' },
+  { prefix: '/api/policy', backend: 'costs-service' },
+  { prefix: '/api/logs', backend: 'logs-service' },
+  { prefix: '/api/about', backend: 'admin-service', public: true },
+  { prefix: '/api/admin', backend: 'admin-service' }
+];
+
+/**
+ * Find the route of a request.
+ * @param {Object} req - Express request object
+ * @returns {Object|null} { name, baseUrl, public } or null if no backend serves the path
+ */
+function resolve(req) {
+  const path = req.originalUrl.split('?')[0];
+  const route = ROUTES.find(function (r) {
+    return (path === r.prefix || path.startsWith(r.prefix + '/')) && (!r.when || r.when(req));
+  });
+  if (!route) return null;
+
+  return {
+    name: route.backend,
+    baseUrl: process.env[BACKENDS[route.backend]],
+    public: !!route.public
+  };
+}
+
+module.exports = {
+  BACKENDS: BACKENDS,
+  resolve: resolve
+};
@@ -0,0 +1,150 @@
+﻿// Sign test tokens with a known secret (set before the app loads .env)
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const auth = require('../../shared/auth');
+const app = require('../app');
+
+// Authorization header of a regular user
+const userAuth = 'Bearer ' + auth.sign({ sub: 5, role: 'user' });
+
+// Locally started backends that answer with what they received
+const servers = [];
+
+/**
+ * Start a fake backend on a free port.
+ * @param {string} name - Service name it answers with
+ * @returns {Promise<string>} Base URL of the backend
+ */
+function startBackend(name) {
+  const backend = express();
+  backend.use(express.text({ type: function () { return true; } }));
+  backend.get('/health', function (req, res) {
+    res.json({ service: name, status: 'ok', version: '1.0.0', mongo: 'connected' });
+  });
+  backend.use(function (req, res) {
+    res.set('X-Backend', name).json({
+      backend: name,
+      method: req.method,
+      url: req.originalUrl,
+      requestId: req.get('X-Request-Id'),
+      authorization: req.get('Authorization') || null,
+      body: typeof req.body === 'string' ? req.body : null
+    });
+  });
+
+  return new Promise(function (resolve) {
+    const server = backend.listen(0, '127.0.0.1', function () {
+      servers.push(server);
+      resolve('http://127.0.0.1:' + server.address().port);
+    });
+  });
+}
+
+/**
+ * Test suite for gateway-service endpoints.
+ */
+describe('gateway-service', () => {
+  beforeAll(async () => {
+    process.env.USERS_SERVICE_URL = await startBackend('users-service');
+    process.env.COSTS_SERVICE_URL = await startBackend('costs-service');
+    process.env.LOGS_SERVICE_URL = await startBackend('logs-service');
+    // admin-service is not running
+    process.env.ADMIN_SERVICE_URL = 'http://127.0.0.1:1';
+  });
+
+  // Clean up: Stop the fake backends after all tests complete
+  afterAll(async () => {
+    await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+  });
+
+  // Test: Health check combines the health of every backend
+  test('GET /health reports every backend', async () => {
+    const res = await request(app).get('/health');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('degraded');
+    expect(res.body.backends.map((b) => b.service)).toEqual(['users-service', 'costs-service', 'logs-service', 'admin-service']);
+    expect(res.body.backends[0]).toMatchObject({ status: 'ok', mongo: 'connected' });
+    expect(res.body.backends[3].status).toBe('down');
+  });
+
+  // Test: Paths no backend serves should return error
+  test('GET /api/unknown returns 404', async () => {
+    const res = await request(app).get('/api/unknown').set('Authorization', userAuth);
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toHaveProperty('id', 1);
+  });
+
+  // Test: Protected routes need a token
+  test('GET /api/report without token returns 401', async () => {
+    const res = await request(app).get('/api/report?id=5&year=2026&month=1');
+    expect(res.statusCode).toBe(401);
+  });
+
+  // Test: Requests are forwarded with path, query, token and X-Request-Id
+  test('GET /api/report is forwarded to costs-service', async () => {
+    const res = await request(app)
+      .get('/api/report?id=5&year=2026&month=1')
+      .set('Authorization', userAuth)
+      .set('X-Request-Id', 'gw-test-1');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-backend']).toBe('costs-service');
+    expect(res.headers['x-request-id']).toBe('gw-test-1');
+    expect(res.body).toMatchObject({ url: '/api/report?id=5&year=2026&month=1', requestId: 'gw-test-1', authorization: userAuth });
+  });
+
+  // Test: POST /api/add goes to users-service for a user and to costs-service for a cost
+  test('POST /api/add is routed by its body', async () => {
+    const user = await request(app).post('/api/add').send({ id: 7, first_name: 'a', last_name: 'b', birthday: '2000-01-01' });
+    expect(user.body.backend).toBe('users-service');
+    expect(JSON.parse(user.body.body)).toHaveProperty('first_name', 'a');
+
+    const cost = await request(app).post('/api/add').set('Authorization', userAuth).send({ description: 'x', category: 'food', userid: 5, sum: 1 });
+    expect(cost.body.backend).toBe('costs-service');
+  });
+
+  // Test: Users and logs paths go to their services
+  test('GET /api/users/5 and /api/logs go to their backends', async () => {
+    const users = await request(app).get('/api/users/5').set('Authorization', userAuth);
+    expect(users.body.backend).toBe('users-service');
+    const logs = await request(app).get('/api/logs').set('Authorization', userAuth);
+    expect(logs.body.backend).toBe('logs-service');
+  });
+
+  // Test: A backend that is down should return error
+  test('GET /api/about with admin-service down returns 502', async () => {
+    const res = await request(app).get('/api/about');
+    expect(res.statusCode).toBe(502);
+    expect(res.body).toHaveProperty('id', 3);
+  });
+
+  // Test: Each client gets RATE_LIMIT_MAX requests per window
+  test('Requests over the rate limit return 429', async () => {
+    process.env.RATE_LIMIT_MAX = '2';
+    const client = 'Bearer ' + auth.sign({ sub: 99, role: 'user' });
+    try {
+      const first = await request(app).get('/api/costs').set('Authorization', client);
+      expect(first.headers['x-ratelimit-remaining']).toBe('1');
+      await request(app).get('/api/costs').set('Authorization', client);
+      const res = await request(app).get('/api/costs').set('Authorization', client);
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toHaveProperty('id', 2);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+
+      // Other clients have their own limit
+      const other = await request(app).get('/api/costs').set('Authorization', 'Bearer ' + auth.sign({ sub: 100, role: 'user' }));
+      expect(other.statusCode).toBe(200);
+    } finally {
+      delete process.env.RATE_LIMIT_MAX;
+    }
+  });
+
+  // Test: Forwarded requests are labelled with their backend in the metrics
+  test('GET /metrics labels forwarded requests by backend', async () => {
+    const res = await request(app).get('/metrics');
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toMatch(/^http_requests_total\{method="GET",route="costs-service",status="200"\} \d+$/m);
+    expect(res.text).not.toMatch(/^mongodb_connection_state /m);
+  });
+});
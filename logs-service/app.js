@@ -3,66 +3,429 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const pinoHttp = require('pino-http');
+const pkg = require('./package.json');
+const auth = require('../shared/auth');
+const requestContext = require('../shared/request-context');
+const health = require('../shared/health');
+const metrics = require('../shared/metrics');
+const logging = require('../shared/logging');
 const Log = require('./models/log.model');
+const LogRollup = require('./models/rollup.model');
+const retention = require('./retention');
+const stream = require('./stream');
 
 const app = express();
+// Own request logs are saved directly (not sent to itself)
+const logger = logging.createLogger({ model: Log, remote: false });
 // Middleware: Parse JSON request bodies
-app.use(express.json());
-// Middleware: HTTP request logging using pino
-app.use(pinoHttp());
+app.use(express.json({ limit: '5mb' }));
+// Middleware: Accept or generate the X-Request-Id (see shared/request-context.js)
+app.use(requestContext.middleware);
+// Middleware: HTTP request logging using pino (logged with the request id)
+app.use(pinoHttp({ genReqId: requestContext.genReqId }));
 
 // Connect to MongoDB database
 mongoose.connect(process.env.MONGO_URI)
   .then(() => console.log('MongoDB connected (logs-service)'))
   .catch(e => console.log(e.message));
 
+/**
+ * Helper function to send standardized error responses.
+ * @param {Object} res - Express response object
+ * @param {number} id - Error ID code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code (defaults to 400)
+ */
+function sendError(res, id, message, statusCode) {
+  res.status(statusCode || 400).json({ id: id, message: message });
+}
+
+// Page size of GET /api/logs
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
 /**
  * Health check endpoint.
- * Returns the service name and status to verify the service is running.
+ * Returns the service name, status, version and MongoDB connection state (see shared/health.js).
  */
-app.get('/health', (req, res) => {
-  res.json({ service: process.env.SERVICE_NAME, status: 'ok' });
-});
+app.get('/health', health.handler(mongoose.connection, pkg.version));
+
+/**
+ * Metrics endpoint (Prometheus text format, see shared/metrics.js).
+ */
+app.get('/metrics', metrics.handler(mongoose.connection));
 
 // Middleware: Track request timing and save logs to database
-app.use((req, res, next) => {
-  const start = Date.now();
-  res.on('finish', () => {
-    // Save log to database asynchronously (fail silently on error)
-    new Log({
-      ts: new Date(),
-      service: process.env.SERVICE_NAME,
-      type: 'request',
-      method: req.method,
-      path: req.path,
-      statusCode: res.statusCode,
-      responseTimeMs: Date.now() - start,
-      message: 'request completed'
-    }).save().catch(()=>{});
+app.use(logger.middleware);
+
+// Most entries POST /api/logs/batch accepts at once
+const MAX_BATCH_SIZE = 1000;
+
+// Fields a log entry may have (expireAt is set by the rollup job only)
+const ENTRY_FIELDS = Object.keys(logging.LOG_FIELDS);
+
+/**
+ * Helper function: Validate a log entry sent by a service.
+ * Checks are done in the order of the error ids 10-18.
+ * @param {*} entry - Entry from the request body
+ * @returns {Object} { error: { id, message } } on failure, otherwise { doc } ready to save
+ */
+function validateEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: { id: 10, message: 'A log entry must be an object' } };
+  }
+
+  const unknown = Object.keys(entry).filter((k) => ENTRY_FIELDS.indexOf(k) === -1);
+  if (unknown.length > 0) {
+    return { error: { id: 11, message: 'Unknown fields: ' + unknown.join(', ') } };
+  }
+
+  if (typeof entry.service !== 'string' || entry.service.trim() === '') {
+    return { error: { id: 12, message: 'service must be a non-empty String' } };
+  }
+
+  if (typeof entry.type !== 'string' || entry.type.trim() === '') {
+    return { error: { id: 13, message: 'type must be a non-empty String' } };
+  }
+
+  // Timestamp of the entry (default: time of arrival)
+  const ts = entry.ts === undefined ? new Date() : new Date(entry.ts);
+  if (isNaN(ts.getTime())) {
+    return { error: { id: 14, message: 'ts must be a valid Date' } };
+  }
+
+  const notString = ['method', 'path', 'route', 'message'].filter((k) => entry[k] !== undefined && typeof entry[k] !== 'string');
+  if (notString.length > 0) {
+    return { error: { id: 15, message: notString.join(', ') + ' must be Strings' } };
+  }
+
+  if (entry.statusCode !== undefined && !(Number.isInteger(entry.statusCode) && entry.statusCode >= 100 && entry.statusCode <= 599)) {
+    return { error: { id: 16, message: 'statusCode must be an HTTP status code (100-599)' } };
+  }
+
+  if (entry.responseTimeMs !== undefined && !(typeof entry.responseTimeMs === 'number' && entry.responseTimeMs >= 0)) {
+    return { error: { id: 17, message: 'responseTimeMs must be a Number >= 0' } };
+  }
+
+  if (entry.meta !== undefined && (entry.meta === null || typeof entry.meta !== 'object' || Array.isArray(entry.meta))) {
+    return { error: { id: 18, message: 'meta must be an object' } };
+  }
+
+  const doc = { ts: ts };
+  ENTRY_FIELDS.forEach((k) => {
+    if (k !== 'ts' && entry[k] !== undefined) doc[k] = entry[k];
   });
-  next();
-});
+  return { doc: doc };
+}
 
 /**
  * POST /api/logs
- * Endpoint for other services to send log entries.
- * Accepts a log document in the request body and saves it to the database.
- */
-app.post('/api/logs', async (req, res) => {
-  await new Log({
-    ts: new Date(),
-    ...req.body  // Spread all properties from request body into the log document
-  }).save();
-  res.json({ ok: true });
+ * Endpoint for other services to send one log entry (service or admin token required).
+ * The entry is validated (error ids 10-18) and saved to the database.
+ */
+app.post('/api/logs', auth.authenticate(), auth.requireRole('service', 'admin'), async (req, res) => {
+  try {
+    const result = validateEntry(req.body);
+    if (result.error) {
+      return sendError(res, result.error.id, result.error.message, 400);
+    }
+
+    const saved = await new Log(result.doc).save();
+    stream.publish([saved.toObject()]);
+    res.json({ ok: true });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * POST /api/logs/batch
+ * Endpoint for other services to send many log entries at once (service or admin token required).
+ * Accepts a JSON array of up to 1000 entries. Every entry gets the same checks as POST /api/logs;
+ * valid entries are saved together and rejected ones are listed with the reason.
+ * Returns { accepted, rejected, errors: [{ index, id, message }] }.
+ */
+app.post('/api/logs/batch', auth.authenticate(), auth.requireRole('service', 'admin'), async (req, res) => {
+  try {
+    if (!Array.isArray(req.body) || req.body.length === 0) {
+      return sendError(res, 19, 'Body must be a non-empty JSON array of log entries', 400);
+    }
+
+    if (req.body.length > MAX_BATCH_SIZE) {
+      return sendError(res, 20, 'Cannot send more than ' + MAX_BATCH_SIZE + ' entries at once', 400);
+    }
+
+    const docs = [];
+    const errors = [];
+    req.body.forEach((entry, index) => {
+      const result = validateEntry(entry);
+      if (result.error) {
+        errors.push({ index: index, id: result.error.id, message: result.error.message });
+      } else {
+        docs.push(result.doc);
+      }
+    });
+
+    if (docs.length > 0) {
+      const saved = await Log.insertMany(docs);
+      stream.publish(saved.map((log) => log.toObject()));
+    }
+
+    res.json({ accepted: docs.length, rejected: errors.length, errors: errors });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Parse a date filter from the query string.
+ * @param {string} value - Query value (ISO date or date/time)
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDate(value) {
+  const d = new Date(String(value));
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Helper function: Encode the position after a log entry as an opaque cursor.
+ * @param {Object} log - Last log entry of a page
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(log) {
+  return Buffer.from(JSON.stringify({ ts: log.ts, id: String(log._id) })).toString('base64url');
+}
+
+/**
+ * Helper function: Decode a cursor made by encodeCursor.
+ * @param {string} cursor - Cursor from the query string
+ * @returns {Object|null} { ts, id } or null if invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const ts = new Date(data.ts);
+    if (isNaN(ts.getTime()) || !mongoose.isValidObjectId(data.id)) return null;
+    return { ts: ts, id: new mongoose.Types.ObjectId(data.id) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Helper function: Build the MongoDB filter of the log query params.
+ * @param {Object} query - req.query
+ * @returns {Object} { filter } or { error: { id, message } }
+ */
+function logFilter(query) {
+  const conditions = [];
+
+  ['service', 'type', 'method', 'path'].forEach((field) => {
+    if (query[field] !== undefined) {
+      const value = String(query[field]);
+      conditions.push({ [field]: field === 'method' ? value.toUpperCase() : value });
+    }
+  });
+
+  if (query.minStatus !== undefined || query.maxStatus !== undefined) {
+    const range = {};
+    if (query.minStatus !== undefined) range.$gte = Number(query.minStatus);
+    if (query.maxStatus !== undefined) range.$lte = Number(query.maxStatus);
+    if (Number.isNaN(range.$gte) || Number.isNaN(range.$lte)) {
+      return { error: { id: 1, message: 'minStatus and maxStatus must be Numbers' } };
+    }
+    conditions.push({ statusCode: range });
+  }
+
+  if (query.from !== undefined || query.to !== undefined) {
+    const range = {};
+    if (query.from !== undefined) range.$gte = parseDate(query.from);
+    if (query.to !== undefined) range.$lte = parseDate(query.to);
+    if (range.$gte === null || range.$lte === null) {
+      return { error: { id: 2, message: 'from and to must be valid Dates' } };
+    }
+    conditions.push({ ts: range });
+  }
+
+  if (query.q !== undefined && String(query.q).trim() !== '') {
+    conditions.push({ $text: { $search: String(query.q) } });
+  }
+
+  return { filter: conditions.length > 0 ? { $and: conditions } : {} };
+}
+
+/**
+ * GET /api/logs?service=costs-service&type=request&method=GET&path=/api/add&minStatus=500&maxStatus=599&from=...&to=...&q=timeout&limit=100&cursor=...
+ * Retrieves log entries, newest first. Admins only. All filters are optional:
+ * - service, type, method, path: exact match
+ * - minStatus, maxStatus: statusCode range (inclusive)
+ * - from, to: ts window (inclusive)
+ * - q: text search in the message (whole words)
+ * - limit: page size (default 100, max 1000)
+ * - cursor: X-Next-Cursor header of the previous page
+ * Returns an array of log entries (without _id). The X-Next-Cursor header is set when there are more.
+ */
+app.get('/api/logs', auth.authenticate(), auth.requireRole('admin'), async (req, res) => {
+  try {
+    const result = logFilter(req.query);
+    if (result.error) {
+      return sendError(res, result.error.id, result.error.message, 400);
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return sendError(res, 3, 'limit must be a Number between 1 and ' + MAX_PAGE_SIZE, 400);
+    }
+
+    // Keyset pagination: continue after the (ts, _id) of the last entry of the previous page
+    let filter = result.filter;
+    if (req.query.cursor !== undefined) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return sendError(res, 4, 'cursor is not valid', 400);
+      }
+      filter = { $and: [filter, { $or: [{ ts: { $lt: cursor.ts } }, { ts: cursor.ts, _id: { $lt: cursor.id } }] }] };
+    }
+
+    // Fetch one extra entry to know if there is a next page
+    const found = await Log.find(filter).sort({ ts: -1, _id: -1 }).limit(limit + 1).lean();
+    const page = found.slice(0, limit);
+
+    if (found.length > limit) {
+      res.set('X-Next-Cursor', encodeCursor(page[page.length - 1]));
+    }
+    res.json(page.map(({ _id, ...log }) => log));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * GET /api/logs/stream?service=costs-service&minStatus=500&q=timeout
+ * Live tail: sends the entries ingested from now on as Server-Sent Events. Admins only.
+ * Takes the filters of GET /api/logs (limit and cursor do not apply).
+ * Every event has the entry (without _id) as data and its _id as id: a client that reconnects
+ * with the Last-Event-ID header first gets the matching entries saved after that one, in the order
+ * they were saved. The _id (not ts) gives that order: log clients send their entries in batches,
+ * so an entry may be saved well after its ts and would be missed when resuming by ts.
+ */
+app.get('/api/logs/stream', auth.authenticate(), auth.requireRole('admin'), async (req, res) => {
+  try {
+    const result = logFilter(req.query);
+    if (result.error) {
+      return sendError(res, result.error.id, result.error.message, 400);
+    }
+
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId !== undefined && !/^[0-9a-f]{24}$/i.test(lastEventId)) {
+      return sendError(res, 4, 'Last-Event-ID is not valid', 400);
+    }
+
+    // Subscribe before replaying so no entry is lost; entries that arrive meanwhile wait in the queue
+    let queue = [];
+    const unsubscribe = stream.subscribe((logs) => {
+      const found = logs.filter((log) => stream.matches(req.query, log));
+      if (queue) {
+        queue.push(...found);
+      } else {
+        found.forEach((log) => sendLog(res, log));
+      }
+    });
+    res.on('close', unsubscribe);
+    stream.open(res);
+
+    const replayed = new Set();
+    let position = lastEventId === undefined ? null : new mongoose.Types.ObjectId(lastEventId);
+    while (position && !res.destroyed) {
+      const page = await Log.find({ $and: [result.filter, { _id: { $gt: position } }] }).sort({ _id: 1 }).limit(MAX_PAGE_SIZE).lean();
+      page.forEach((log) => {
+        replayed.add(String(log._id));
+        sendLog(res, log);
+      });
+      position = page.length === MAX_PAGE_SIZE ? page[page.length - 1]._id : null;
+    }
+
+    queue.filter((log) => !replayed.has(String(log._id))).forEach((log) => sendLog(res, log));
+    queue = null;
+  } catch (err) {
+    if (!res.headersSent) {
+      return sendError(res, 999, err.message || 'Unknown error', 500);
+    }
+    res.end();
+  }
+});
+
+/**
+ * Helper function: Send a log entry on a stream, with its _id as event id.
+ * @param {Object} res - Express response object
+ * @param {Object} log - Log entry (with _id)
+ */
+function sendLog(res, log) {
+  const { _id, ...entry } = log;
+  stream.send(res, String(_id), entry);
+}
+
+/**
+ * GET /api/logs/rollups?service=costs-service&path=/api/users/:id&from=...&to=...
+ * Per-hour aggregates of the request logs (count, errorCount, errorRate, p50/p95/max responseTimeMs
+ * per service and route pattern), oldest first. Admins and services (admin-service) only.
+ * p50 and p95 are approximate (within 10%, see retention.js).
+ * Hours the rollup job has not processed yet (the current one, and the previous one for up to
+ * ROLLUP_INTERVAL_MS) are computed from the raw logs and marked live: true.
+ * - service, path: exact match (optional); path is the route pattern
+ * - from, to: hour window (default: the last 24 hours)
+ */
+app.get('/api/logs/rollups', auth.authenticate(), auth.requireRole('admin', 'service'), async (req, res) => {
+  try {
+    const to = req.query.to === undefined ? new Date() : parseDate(req.query.to);
+    const from = req.query.from === undefined ? (to && new Date(to.getTime() - 24 * 60 * 60 * 1000)) : parseDate(req.query.from);
+    if (!from || !to) {
+      return sendError(res, 2, 'from and to must be valid Dates', 400);
+    }
+
+    const filter = { hour: { $gte: retention.startOfHour(from), $lte: to } };
+    if (req.query.service !== undefined) filter.service = String(req.query.service);
+    if (req.query.path !== undefined) filter.path = String(req.query.path);
+
+    const rollups = await LogRollup.find(filter, { _id: 0 }).sort({ hour: 1, service: 1, path: 1 }).lean();
+    const live = (await retention.liveRollups(from, to, new Date())).filter((r) => {
+      return (filter.service === undefined || r.service === filter.service) && (filter.path === undefined || r.path === filter.path);
+    });
+    live.sort((a, b) => a.hour - b.hour || a.service.localeCompare(b.service) || a.path.localeCompare(b.path));
+    res.json(rollups.concat(live));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * GET /api/logs/retention
+ * The retention rules in effect (LOG_RETENTION), most specific first. Admins only.
+ * days = 0 means the entries are kept forever.
+ */
+app.get('/api/logs/retention', auth.authenticate(), auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json(retention.parseRetention(process.env.LOG_RETENTION));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
 });
 
 /**
- * GET /api/logs
- * Retrieves all log entries from the database, sorted by timestamp (newest first).
+ * GET /api/logs/trace/:requestId
+ * All log entries of one request across the services (meta.requestId, see X-Request-Id),
+ * oldest first and without _id. Admins only.
  */
-app.get('/api/logs', async (req, res) => {
-  const logs = await Log.find({}, { _id: 0 }).sort({ ts: -1 }).lean();
-  res.json(logs);
+app.get('/api/logs/trace/:requestId', auth.authenticate(), auth.requireRole('admin'), async (req, res) => {
+  try {
+    const logs = await Log.find({ 'meta.requestId': req.params.requestId }, { _id: 0 })
+      .sort({ ts: 1, _id: 1 })
+      .limit(MAX_PAGE_SIZE)
+      .lean();
+    res.json(logs);
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
 });
 
 module.exports = app;
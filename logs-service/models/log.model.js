@@ -1,22 +1,27 @@
 ﻿const mongoose = require('mongoose');
+const logging = require('../../shared/logging');
 
 /**
  * Log schema for storing application logs.
- * This schema is flexible and can store various types of log entries with optional fields.
+ * The fields of every service (see shared/logging.js) plus the expiry set by the retention rules.
  */
 const logSchema = new mongoose.Schema(
   {
-    ts: { type: Date, required: true },              // Timestamp of the log entry
-    service: { type: String, required: true },        // Name of the service that generated the log
-    type: { type: String, required: true },          // Type of log (e.g., 'request', 'endpoint')
-    method: { type: String },                         // HTTP method (optional, for request logs)
-    path: { type: String },                           // Request path (optional, for request logs)
-    statusCode: { type: Number },                     // HTTP status code (optional, for request logs)
-    responseTimeMs: { type: Number },                 // Response time in milliseconds (optional)
-    message: { type: String },                        // Log message (optional)
-    meta: { type: Object }                            // Additional metadata object (optional)
+    ...logging.LOG_FIELDS,
+    expireAt: { type: Date }                          // Set by the rollup job (retention.js); null = keep forever
   },
   { versionKey: false }  // Disable __v version key
 );
 
+// Indexes for GET /api/logs (newest first, filtered by service/type/status, paged by ts + _id)
+logSchema.index({ ts: -1, _id: -1 });
+logSchema.index({ service: 1, type: 1, ts: -1, _id: -1 });
+logSchema.index({ statusCode: 1, ts: -1 });
+// Text index for the message search (q) of GET /api/logs
+logSchema.index({ message: 'text' });
+// Index for GET /api/logs/trace/:requestId
+logSchema.index({ 'meta.requestId': 1, ts: 1 }, { sparse: true });
+// TTL index: MongoDB deletes an entry once its expireAt has passed
+logSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
 module.exports = mongoose.model('Log', logSchema, 'logs');
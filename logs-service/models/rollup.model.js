@@ -0,0 +1,25 @@
+﻿const mongoose = require('mongoose');
+
+/**
+ * Rollup schema for the log_rollups collection.
+ * Per-hour aggregate of the request logs of one service and route pattern, made by the
+ * rollup job (retention.js) before the raw entries expire. Rollups are kept forever.
+ */
+const rollupSchema = new mongoose.Schema(
+  {
+    hour: { type: Date, required: true },            // Start of the hour
+    service: { type: String, required: true },       // Name of the service
+    path: { type: String, required: true },          // Route pattern (e.g. /api/users/:id)
+    count: { type: Number, required: true },         // Number of requests
+    errorCount: { type: Number, required: true },    // Requests answered with statusCode >= 500
+    errorRate: { type: Number, required: true },     // errorCount / count
+    p50: { type: Number },                           // Median responseTimeMs (within 10%)
+    p95: { type: Number },                           // 95th percentile responseTimeMs (within 10%)
+    maxMs: { type: Number }                          // Slowest responseTimeMs
+  },
+  { versionKey: false }  // Disable __v version key
+);
+
+rollupSchema.index({ hour: 1, service: 1, path: 1 }, { unique: true });
+
+module.exports = mongoose.model('LogRollup', rollupSchema, 'log_rollups');
@@ -0,0 +1,284 @@
+﻿const Log = require('./models/log.model');
+const LogRollup = require('./models/rollup.model');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Retention of entries that match no rule of LOG_RETENTION
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Response times are counted in buckets that grow by this factor, so p50/p95 of a rollup are
+// within 10% of the exact values without loading every response time
+const BUCKET_GROWTH = 1.1;
+
+// Path segments that are ids (numbers or ObjectIds); entries without a route have them replaced by :id
+const ID_SEGMENT = '^([0-9]+|[0-9a-fA-F]{24})$';
+
+/**
+ * Parse the retention rules (LOG_RETENTION).
+ * Comma-separated "key=days", where key is "*" (everything), a type ("request"),
+ * "service:type" or "service:*". days = 0 keeps the entries forever.
+ * Example: "*=30,request=7,costs-service:request=14,audit=0"
+ * @param {string} [text] - Rules (empty: keep everything DEFAULT_RETENTION_DAYS days)
+ * @returns {Array} [{ service, type, days }], most specific rule first, ending with the "*" rule
+ * @throws {Error} If a rule is not valid
+ */
+function parseRetention(text) {
+  const rules = [];
+  String(text || '').split(',').map(function (part) { return part.trim(); }).filter(Boolean).forEach(function (part) {
+    const match = /^([^=:\s]+)(?::([^=\s]+))?\s*=\s*(\d+(?:\.\d+)?)$/.exec(part);
+    if (!match) {
+      throw new Error('Invalid log retention rule "' + part + '" (expected key=days)');
+    }
+    // "service:type" and "service:*" name a service; a single key names a type (or "*")
+    const service = match[2] !== undefined ? match[1] : null;
+    const type = match[2] !== undefined ? match[2] : match[1];
+    rules.push({ service: service, type: type === '*' ? null : type, days: Number(match[3]) });
+  });
+
+  if (!rules.some(function (r) { return r.service === null && r.type === null; })) {
+    rules.push({ service: null, type: null, days: DEFAULT_RETENTION_DAYS });
+  }
+
+  /**
+   * Specificity of a rule: service and type > service > type > everything.
+   * @param {Object} rule - Retention rule
+   * @returns {number} Higher is more specific
+   */
+  function rank(rule) {
+    return (rule.service !== null ? 2 : 0) + (rule.type !== null ? 1 : 0);
+  }
+  return rules.sort(function (a, b) { return rank(b) - rank(a); });
+}
+
+/**
+ * Value at a percentile of sorted numbers (nearest-rank method).
+ * @param {Array} sorted - Numbers in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Value or null if there are no numbers
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil(p / 100 * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+/**
+ * Approximate value at a percentile of response times counted in buckets (nearest-rank method).
+ * @param {Array} buckets - [{ bucket, count, max }] in ascending bucket order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Largest value of the bucket that holds the rank, or null if there are no values
+ */
+function bucketPercentile(buckets, p) {
+  const total = buckets.reduce(function (sum, b) { return sum + b.count; }, 0);
+  if (total === 0) return null;
+  const rank = Math.min(total, Math.max(Math.ceil(p / 100 * total), 1));
+
+  let seen = 0;
+  for (let i = 0; i < buckets.length; i++) {
+    seen += buckets[i].count;
+    if (seen >= rank) return buckets[i].max;
+  }
+  return buckets[buckets.length - 1].max;
+}
+
+/**
+ * Start of the (UTC) hour of a date.
+ * @param {Date} date - Date
+ * @returns {Date} Start of its hour
+ */
+function startOfHour(date) {
+  return new Date(Math.floor(new Date(date).getTime() / HOUR_MS) * HOUR_MS);
+}
+
+/**
+ * Aggregate the raw request logs of (part of) an hour per service and route pattern.
+ * Entries without a route (older or other clients) are grouped by their path with ids replaced by :id.
+ * Response times are counted per bucket in MongoDB (see BUCKET_GROWTH), then p50/p95 are read from the buckets.
+ * @param {Date} hour - Start of the hour
+ * @param {Date} end - End of the aggregated time (the end of the hour, or now for the current hour)
+ * @returns {Promise<Array>} [{ service, path, count, errorCount, errorRate, p50, p95, maxMs }]
+ */
+async function aggregateHour(hour, end) {
+  const segments = { $split: [{ $ifNull: ['$path', '(none)'] }, '/'] };
+  const pathPattern = { $reduce: {
+    input: { $map: { input: segments, as: 's', in: { $cond: [{ $regexMatch: { input: '$$s', regex: ID_SEGMENT } }, ':id', '$$s'] } } },
+    initialValue: null,
+    in: { $cond: [{ $eq: ['$$value', null] }, '$$this', { $concat: ['$$value', '/', '$$this'] }] }
+  } };
+  const bucket = { $cond: [
+    { $isNumber: '$responseTimeMs' },
+    { $floor: { $divide: [{ $ln: { $add: ['$responseTimeMs', 1] } }, Math.log(BUCKET_GROWTH)] } },
+    null
+  ] };
+
+  const groups = await Log.aggregate([
+    { $match: { type: 'request', ts: { $gte: hour, $lt: end } } },
+    { $group: {
+      _id: { service: '$service', path: { $ifNull: ['$route', pathPattern] }, bucket: bucket },
+      count: { $sum: 1 },
+      errorCount: { $sum: { $cond: [{ $gte: ['$statusCode', 500] }, 1, 0] } },
+      max: { $max: '$responseTimeMs' }
+    } },
+    { $sort: { '_id.bucket': 1 } },
+    { $group: {
+      _id: { service: '$_id.service', path: '$_id.path' },
+      count: { $sum: '$count' },
+      errorCount: { $sum: '$errorCount' },
+      buckets: { $push: { bucket: '$_id.bucket', count: '$count', max: '$max' } }
+    } }
+  ]);
+
+  return groups.map(function (g) {
+    const buckets = g.buckets.filter(function (b) { return b.bucket !== null; });
+    return {
+      service: g._id.service,
+      path: g._id.path,
+      count: g.count,
+      errorCount: g.errorCount,
+      errorRate: g.errorCount / g.count,
+      p50: bucketPercentile(buckets, 50),
+      p95: bucketPercentile(buckets, 95),
+      maxMs: buckets.length > 0 ? buckets[buckets.length - 1].max : null
+    };
+  });
+}
+
+/**
+ * Compute the rollups of one hour from the raw request logs (replacing earlier rollups of that hour).
+ * @param {Date} hour - Start of the hour
+ * @returns {Promise<number>} Number of service/path rollups written
+ */
+async function rollupHour(hour) {
+  const rows = await aggregateHour(hour, new Date(hour.getTime() + HOUR_MS));
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    await LogRollup.updateOne(
+      { hour: hour, service: row.service, path: row.path },
+      { $set: {
+        count: row.count,
+        errorCount: row.errorCount,
+        errorRate: row.errorRate,
+        p50: row.p50,
+        p95: row.p95,
+        maxMs: row.maxMs
+      } },
+      { upsert: true }
+    );
+  }
+  return rows.length;
+}
+
+/**
+ * Rollups of the hours that the rollup job has not processed yet, computed from the raw logs:
+ * the current hour (up to now) and the previous hour until the job gets to it.
+ * @param {Date} from - Start of the requested window
+ * @param {Date} to - End of the requested window
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Rollups like the stored ones, with live: true
+ */
+async function liveRollups(from, to, now) {
+  const currentHour = startOfHour(now);
+  const rollups = [];
+
+  for (let hour = Math.max(startOfHour(from).getTime(), currentHour.getTime() - HOUR_MS); hour <= Math.min(to.getTime(), now.getTime()); hour += HOUR_MS) {
+    const start = new Date(hour);
+    if (hour < currentHour.getTime() && await LogRollup.exists({ hour: start })) continue;  // Already rolled up
+
+    const rows = await aggregateHour(start, hour === currentHour.getTime() ? now : new Date(hour + HOUR_MS));
+    rows.forEach(function (row) {
+      rollups.push(Object.assign({ hour: start }, row, { live: true }));
+    });
+  }
+  return rollups;
+}
+
+/**
+ * Set expireAt on the entries of one hour by the first matching retention rule.
+ * The TTL index of the Log model then deletes them when that time has passed.
+ * @param {Date} hour - Start of the hour
+ * @param {Array} rules - Rules from parseRetention
+ */
+async function applyRetention(hour, rules) {
+  const end = new Date(hour.getTime() + HOUR_MS);
+  for (let i = 0; i < rules.length; i++) {
+    const filter = { ts: { $gte: hour, $lt: end }, expireAt: { $exists: false } };
+    if (rules[i].service !== null) filter.service = rules[i].service;
+    if (rules[i].type !== null) filter.type = rules[i].type;
+
+    const update = rules[i].days === 0
+      ? { $set: { expireAt: null } }
+      : [{ $set: { expireAt: { $add: ['$ts', rules[i].days * DAY_MS] } } }];
+    await Log.updateMany(filter, update);
+  }
+}
+
+/**
+ * Roll up every completed hour that has unprocessed entries, then let those entries expire.
+ * An entry is processed once it has an expireAt (null = keep forever), so entries always
+ * get rolled up before they can expire, and hours missed while the service was down are caught up.
+ * @param {Date} now - Current time (only hours before the current one are rolled up)
+ * @param {Array} rules - Rules from parseRetention
+ * @returns {Promise<number>} Number of hours processed
+ */
+async function runRollups(now, rules) {
+  const currentHour = startOfHour(now);
+  let hours = 0;
+  let last = null;
+
+  for (;;) {
+    const oldest = await Log.findOne({ expireAt: { $exists: false }, ts: { $lt: currentHour } }, { ts: 1 }).sort({ ts: 1 }).lean();
+    if (!oldest) break;
+
+    const hour = startOfHour(oldest.ts);
+    if (last && hour.getTime() === last.getTime()) break;  // Nothing was marked, do not loop forever
+    last = hour;
+
+    await rollupHour(hour);
+    await applyRetention(hour, rules);
+    hours++;
+  }
+  return hours;
+}
+
+/**
+ * Start the rollup job: runs once now and then every intervalMs.
+ * A run is skipped while the previous one is still busy.
+ * @param {number} intervalMs - Time between runs in milliseconds
+ * @param {Array} rules - Rules from parseRetention
+ * @returns {Object} Timer handle (for clearInterval)
+ */
+function startRollups(intervalMs, rules) {
+  let running = false;
+
+  function run() {
+    if (running) return;
+    running = true;
+    runRollups(new Date(), rules)
+      .then(function (hours) {
+        if (hours > 0) console.log('Log hours rolled up: ' + hours);
+      })
+      .catch(function (err) {
+        console.log('Log rollup error:', err.message);
+      })
+      .finally(function () {
+        running = false;
+      });
+  }
+
+  run();
+  return setInterval(run, intervalMs);
+}
+
+module.exports = {
+  parseRetention: parseRetention,
+  percentile: percentile,
+  bucketPercentile: bucketPercentile,
+  startOfHour: startOfHour,
+  rollupHour: rollupHour,
+  liveRollups: liveRollups,
+  applyRetention: applyRetention,
+  runRollups: runRollups,
+  startRollups: startRollups
+};
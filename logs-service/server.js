@@ -1,7 +1,23 @@
 ﻿// Import the Express app from app.js
 const app = require('./app');
+const logging = require('../shared/logging');
+const Log = require('./models/log.model');
+const retention = require('./retention');
 
 // Start the server on the port specified in environment variables
 app.listen(process.env.PORT, function () {
   console.log(process.env.SERVICE_NAME + ' listening on port ' + process.env.PORT);
 });
+
+// Roll up request logs per hour and set when raw entries expire (default: every 10 minutes).
+// LOG_RETENTION sets the retention per service and type, e.g. "*=30,request=7,costs-service:request=14"
+retention.startRollups(Number(process.env.ROLLUP_INTERVAL_MS) || 600000, retention.parseRetention(process.env.LOG_RETENTION));
+
+// Convert request logs of the legacy { url, time } shape to the shared shape (see shared/logging.js)
+logging.migrateLegacyLogs(Log)
+  .then(function (count) {
+    if (count > 0) console.log('Migrated ' + count + ' legacy log entries');
+  })
+  .catch(function (err) {
+    console.log('Log migration failed:', err.message);
+  });
@@ -0,0 +1,117 @@
+/**
+ * Live tail of the log entries for GET /api/logs/stream (Server-Sent Events).
+ * - publish() is called with every entry saved by POST /api/logs and POST /api/logs/batch
+ * - subscribe() registers a connected client; matches() applies the filters of
+ *   GET /api/logs to one entry in memory
+ * Subscribers only exist in this process: with several logs-service instances,
+ * a client sees the entries ingested by the instance it is connected to.
+ */
+const EventEmitter = require('events');
+
+// Interval of the keep-alive comments, so proxies do not close an idle stream
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+const hub = new EventEmitter();
+// Every open stream is a listener
+hub.setMaxListeners(0);
+
+/**
+ * Send newly saved log entries to the open streams.
+ * @param {Array} docs - Saved entries (plain objects with _id)
+ */
+function publish(docs) {
+  if (docs.length > 0) hub.emit('logs', docs);
+}
+
+/**
+ * Receive newly saved log entries.
+ * @param {Function} listener - Called with an array of entries
+ * @returns {Function} Call to stop receiving
+ */
+function subscribe(listener) {
+  hub.on('logs', listener);
+  return function () {
+    hub.off('logs', listener);
+  };
+}
+
+/**
+ * Number of open streams.
+ * @returns {number} Subscribers
+ */
+function subscriberCount() {
+  return hub.listenerCount('logs');
+}
+
+/**
+ * Check one entry against the query params of GET /api/logs (already validated by logFilter).
+ * q matches when the message contains one of its words (case-insensitive), like the text search
+ * of the query endpoint but without stemming.
+ * @param {Object} query - req.query
+ * @param {Object} log - Log entry
+ * @returns {boolean} True if the entry passes every filter
+ */
+function matches(query, log) {
+  const exact = ['service', 'type', 'method', 'path'].every(function (field) {
+    if (query[field] === undefined) return true;
+    const value = String(query[field]);
+    return log[field] === (field === 'method' ? value.toUpperCase() : value);
+  });
+  if (!exact) return false;
+
+  if (query.minStatus !== undefined && !(log.statusCode >= Number(query.minStatus))) return false;
+  if (query.maxStatus !== undefined && !(log.statusCode <= Number(query.maxStatus))) return false;
+
+  const ts = new Date(log.ts).getTime();
+  if (query.from !== undefined && ts < new Date(String(query.from)).getTime()) return false;
+  if (query.to !== undefined && ts > new Date(String(query.to)).getTime()) return false;
+
+  if (query.q !== undefined && String(query.q).trim() !== '') {
+    const words = String(log.message || '').toLowerCase().split(/\W+/);
+    const terms = String(query.q).toLowerCase().split(/\W+/).filter(Boolean);
+    if (!terms.some(function (term) { return words.indexOf(term) !== -1; })) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Start an SSE response and keep it alive with comments until the client disconnects.
+ * @param {Object} res - Express response object
+ */
+function open(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Ask proxies such as nginx not to buffer the events
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(function () {
+    res.write(': ping\n\n');
+  }, Number(process.env.STREAM_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS);
+  res.on('close', function () {
+    clearInterval(heartbeat);
+  });
+}
+
+/**
+ * Write one log entry as an SSE event.
+ * @param {Object} res - Express response object
+ * @param {string} id - Event id (the client sends it back as Last-Event-ID to resume)
+ * @param {Object} log - Log entry (without _id)
+ */
+function send(res, id, log) {
+  res.write('id: ' + id + '\ndata: ' + JSON.stringify(log) + '\n\n');
+}
+
+module.exports = {
+  publish: publish,
+  subscribe: subscribe,
+  subscriberCount: subscriberCount,
+  matches: matches,
+  open: open,
+  send: send
+};
@@ -1,6 +1,19 @@
-﻿const request = require('supertest');
+﻿// Sign test tokens with a known secret (set before the app loads .env)
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
 const mongoose = require('mongoose');
+const auth = require('../../shared/auth');
 const app = require('../app');
+const retention = require('../retention');
+const stream = require('../stream');
+const logging = require('../../shared/logging');
+const Log = require('../models/log.model');
+const LogRollup = require('../models/rollup.model');
+
+// Authorization headers of an admin and of another service
+const adminAuth = 'Bearer ' + auth.sign({ sub: 1, role: 'admin' });
+const serviceAuth = 'Bearer ' + auth.sign({ sub: 'test-service', role: 'service' });
 
 /**
  * Test suite for logs-service endpoints.
@@ -20,14 +33,14 @@ describe('logs-service', () => {
 
   // Test: Logs endpoint should return an array of log entries
   test('GET /api/logs returns array', async () => {
-    const res = await request(app).get('/api/logs');
+    const res = await request(app).get('/api/logs').set('Authorization', adminAuth);
     expect(res.statusCode).toBe(200);
     expect(Array.isArray(res.body)).toBe(true);
   });
 
   // Test: GET /api/logs should not include MongoDB _id field
   test('GET /api/logs does not include _id field', async () => {
-    const res = await request(app).get('/api/logs');
+    const res = await request(app).get('/api/logs').set('Authorization', adminAuth);
     expect(res.statusCode).toBe(200);
     if (res.body.length > 0) {
       expect(res.body[0]).not.toHaveProperty('_id');
@@ -38,8 +51,233 @@ describe('logs-service', () => {
   test('POST /api/logs accepts log entry', async () => {
     const res = await request(app)
       .post('/api/logs')
+      .set('Authorization', serviceAuth)
       .send({ service: 'test-service', type: 'test', message: 'test log' });
     expect(res.statusCode).toBe(200);
     expect(res.body).toHaveProperty('ok', true);
   });
+
+  // Test: Reading logs without a token should be rejected
+  test('GET /api/logs without token returns 401', async () => {
+    const res = await request(app).get('/api/logs');
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toHaveProperty('id', 401);
+  });
+
+  // Test: Regular users may not write logs
+  test('POST /api/logs as regular user returns 403', async () => {
+    const res = await request(app)
+      .post('/api/logs')
+      .set('Authorization', 'Bearer ' + auth.sign({ sub: 5, role: 'user' }))
+      .send({ service: 'test-service', type: 'test', message: 'test log' });
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: GET /api/logs with an invalid status range should return error
+  test('GET /api/logs with invalid minStatus returns error', async () => {
+    const res = await request(app).get('/api/logs?minStatus=abc').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 1);
+  });
+
+  // Test: GET /api/logs with an invalid time window should return error
+  test('GET /api/logs with invalid from returns error', async () => {
+    const res = await request(app).get('/api/logs?from=yesterday').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 2);
+  });
+
+  // Test: GET /api/logs with an invalid cursor should return error
+  test('GET /api/logs with invalid cursor returns error', async () => {
+    const res = await request(app).get('/api/logs?cursor=not-a-cursor').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 4);
+  });
+
+  // Test: GET /api/logs/rollups with an invalid window should return error
+  test('GET /api/logs/rollups with invalid from returns error', async () => {
+    const res = await request(app).get('/api/logs/rollups?from=yesterday').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 2);
+  });
+
+  // Test: Retention rules are ordered from the most specific to the default
+  test('retention.parseRetention orders rules by specificity', () => {
+    const rules = retention.parseRetention('request=7,costs-service:request=14,audit=0');
+    expect(rules).toEqual([
+      { service: 'costs-service', type: 'request', days: 14 },
+      { service: null, type: 'request', days: 7 },
+      { service: null, type: 'audit', days: 0 },
+      { service: null, type: null, days: 30 }
+    ]);
+    expect(() => retention.parseRetention('request')).toThrow();
+  });
+
+  // Test: Percentiles use the nearest-rank method
+  test('retention.percentile returns nearest-rank percentiles', () => {
+    const times = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    expect(retention.percentile(times, 50)).toBe(50);
+    expect(retention.percentile(times, 95)).toBe(100);
+    expect(retention.percentile([], 50)).toBeNull();
+  });
+
+  // Test: Percentiles of bucketed response times are the largest value of the bucket holding the rank
+  test('retention.bucketPercentile reads percentiles from buckets', () => {
+    const buckets = [{ bucket: 24, count: 5, max: 10 }, { bucket: 31, count: 4, max: 25 }, { bucket: 48, count: 1, max: 120 }];
+    expect(retention.bucketPercentile(buckets, 50)).toBe(10);
+    expect(retention.bucketPercentile(buckets, 90)).toBe(25);
+    expect(retention.bucketPercentile(buckets, 95)).toBe(120);
+    expect(retention.bucketPercentile([], 50)).toBeNull();
+  });
+
+  // Test: Request entries are grouped by route pattern, or by their path with ids replaced
+  test('retention.liveRollups groups by route pattern', async () => {
+    const now = new Date('2026-03-01T10:20:00Z');
+    const aggregate = jest.spyOn(Log, 'aggregate').mockResolvedValue([]);
+    const exists = jest.spyOn(LogRollup, 'exists').mockResolvedValue({ _id: 1 });
+    try {
+      await retention.liveRollups(now, now, now);
+      const group = aggregate.mock.calls[0][0][1].$group;
+      expect(group._id.path.$ifNull[0]).toBe('$route');
+      expect(group).not.toHaveProperty('times');
+    } finally {
+      aggregate.mockRestore();
+      exists.mockRestore();
+    }
+  });
+
+  // Test: Hours the rollup job has not processed yet are computed from the raw logs
+  test('retention.liveRollups computes the current hour and an unprocessed previous hour', async () => {
+    const now = new Date('2026-03-01T10:20:00Z');
+    const aggregate = jest.spyOn(Log, 'aggregate').mockResolvedValue([
+      {
+        _id: { service: 'costs-service', path: '/api/add' },
+        count: 4,
+        errorCount: 1,
+        buckets: [{ bucket: 18, count: 1, max: 5 }, { bucket: 25, count: 1, max: 10 }, { bucket: 31, count: 2, max: 40 }]
+      }
+    ]);
+    const exists = jest.spyOn(LogRollup, 'exists').mockResolvedValue(null);
+    try {
+      const rollups = await retention.liveRollups(new Date('2026-03-01T09:20:00Z'), now, now);
+      expect(rollups.map((r) => r.hour.toISOString())).toEqual(['2026-03-01T09:00:00.000Z', '2026-03-01T10:00:00.000Z']);
+      expect(rollups[1]).toMatchObject({ service: 'costs-service', count: 4, errorRate: 0.25, p50: 10, maxMs: 40, live: true });
+      // The current hour is aggregated up to now
+      expect(aggregate.mock.calls[1][0][0].$match.ts).toEqual({ $gte: new Date('2026-03-01T10:00:00Z'), $lt: now });
+
+      // A previous hour that is already rolled up is not computed again
+      exists.mockResolvedValue({ _id: 1 });
+      expect(await retention.liveRollups(new Date('2026-03-01T09:20:00Z'), now, now)).toHaveLength(1);
+    } finally {
+      aggregate.mockRestore();
+      exists.mockRestore();
+    }
+  });
+
+  // Test: The X-Request-Id of the caller is kept; an invalid one is replaced
+  test('X-Request-Id is echoed or generated', async () => {
+    const given = await request(app).get('/health').set('X-Request-Id', 'abc-123');
+    expect(given.headers['x-request-id']).toBe('abc-123');
+
+    const invalid = await request(app).get('/health').set('X-Request-Id', 'not valid!');
+    expect(invalid.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  // Test: GET /api/logs/trace/:requestId is for admins only
+  test('GET /api/logs/trace/:requestId without admin token returns error', async () => {
+    const res = await request(app).get('/api/logs/trace/abc-123').set('Authorization', serviceAuth);
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: GET /api/logs/stream with an invalid Last-Event-ID should return error
+  test('GET /api/logs/stream with invalid Last-Event-ID returns error', async () => {
+    const res = await request(app).get('/api/logs/stream').set('Authorization', adminAuth).set('Last-Event-ID', 'nope');
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 4);
+  });
+
+  // Test: The stream sends new entries that pass its filters as SSE events
+  test('GET /api/logs/stream sends matching entries', async () => {
+    const server = app.listen(0);
+    const controller = new AbortController();
+    try {
+      const res = await fetch('http://127.0.0.1:' + server.address().port + '/api/logs/stream?service=costs-service&minStatus=500', {
+        headers: { Authorization: adminAuth },
+        signal: controller.signal
+      });
+      expect(res.headers.get('content-type')).toMatch(/^text\/event-stream/);
+
+      const log = { _id: new mongoose.Types.ObjectId(), ts: new Date(), service: 'costs-service', type: 'request', statusCode: 500 };
+      stream.publish([{ ...log, statusCode: 200 }, { ...log, service: 'users-service' }, log]);
+
+      const { value } = await res.body.getReader().read();
+      const text = Buffer.from(value).toString('utf8');
+      expect(text).toMatch(new RegExp('^id: ' + log._id + '\ndata: '));
+      const data = JSON.parse(text.split('\n')[1].slice('data: '.length));
+      expect(data).toMatchObject({ service: 'costs-service', statusCode: 500 });
+      expect(data).not.toHaveProperty('_id');
+    } finally {
+      controller.abort();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  // Test: Stream filters match like the query filters
+  test('stream.matches applies the query filters', () => {
+    const log = { ts: new Date('2026-01-01T10:00:00Z'), service: 'costs-service', type: 'request', method: 'GET', statusCode: 404, message: 'Request timeout reached' };
+    expect(stream.matches({ method: 'get', maxStatus: '499' }, log)).toBe(true);
+    expect(stream.matches({ q: 'TIMEOUT' }, log)).toBe(true);
+    expect(stream.matches({ q: 'time' }, log)).toBe(false);
+    expect(stream.matches({ from: '2026-01-02' }, log)).toBe(false);
+    expect(stream.matches({ type: 'audit' }, log)).toBe(false);
+  });
+
+  // Test: Every service writes log entries of the shared shape
+  test('logging.createLogger writes the shared log shape', () => {
+    const model = { create: jest.fn(() => Promise.resolve()) };
+    const logger = logging.createLogger({ model: model, remote: false });
+    logger.write({ method: 'DELETE', path: '/api/users/7', id: 'req-1' }, { type: 'audit', path: '/api/users/:id', meta: { id: 7 } });
+
+    const doc = model.create.mock.calls[0][0];
+    expect(Object.keys(doc).every((k) => k in logging.LOG_FIELDS)).toBe(true);
+    expect(doc).toMatchObject({ type: 'audit', method: 'DELETE', path: '/api/users/:id', meta: { id: 7, requestId: 'req-1' } });
+    expect(doc.ts).toBeInstanceOf(Date);
+  });
+
+  // Test: POST /api/logs without a service should return error
+  test('POST /api/logs with missing service returns error', async () => {
+    const res = await request(app)
+      .post('/api/logs')
+      .set('Authorization', serviceAuth)
+      .send({ type: 'test', message: 'test log' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 12);
+  });
+
+  // Test: POST /api/logs with a field that is not part of a log entry should return error
+  test('POST /api/logs with unknown field returns error', async () => {
+    const res = await request(app)
+      .post('/api/logs')
+      .set('Authorization', serviceAuth)
+      .send({ service: 'test-service', type: 'test', expireAt: '2000-01-01' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 11);
+  });
+
+  // Test: POST /api/logs/batch needs an array
+  test('POST /api/logs/batch with non-array body returns error', async () => {
+    const res = await request(app)
+      .post('/api/logs/batch')
+      .set('Authorization', serviceAuth)
+      .send({ service: 'test-service', type: 'test' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 19);
+  });
+
+  // Test: Metrics are in the Prometheus text format
+  test('GET /metrics returns Prometheus metrics', async () => {
+    const res = await request(app).get('/metrics');
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toContain('# TYPE http_requests_total counter');
+  });
 });
@@ -11,12 +11,14 @@ param(
   [string]$Root = (Get-Location).Path
 )
 
-# Define the services and their required model files
+# Define the services, their required model files, the URLs of the services they call
+# and whether they use MongoDB (the gateway has no database)
 $services = @(
-  @{ Name = "users-service";  RequiredModels = @("models/user.model.js", "models/log.model.js") },
-  @{ Name = "costs-service";  RequiredModels = @("models/cost.model.js", "models/report.model.js", "models/log.model.js") },
-  @{ Name = "logs-service";   RequiredModels = @("models/log.model.js") },
-  @{ Name = "admin-service";  RequiredModels = @("models/log.model.js") }
+  @{ Name = "users-service";   UsesMongo = $true;  RequiredModels = @("models/user.model.js", "models/group.model.js", "models/log.model.js"); RequiredUrls = @("COSTS_SERVICE_URL") },
+  @{ Name = "costs-service";   UsesMongo = $true;  RequiredModels = @("models/cost.model.js", "models/report.model.js", "models/log.model.js"); RequiredUrls = @("USERS_SERVICE_URL") },
+  @{ Name = "logs-service";    UsesMongo = $true;  RequiredModels = @("models/log.model.js"); RequiredUrls = @() },
+  @{ Name = "admin-service";   UsesMongo = $true;  RequiredModels = @("models/log.model.js"); RequiredUrls = @("USERS_SERVICE_URL", "COSTS_SERVICE_URL", "LOGS_SERVICE_URL") },
+  @{ Name = "gateway-service"; UsesMongo = $false; RequiredModels = @(); RequiredUrls = @("USERS_SERVICE_URL", "COSTS_SERVICE_URL", "LOGS_SERVICE_URL", "ADMIN_SERVICE_URL") }
 )
 
 # Helper functions for colored output
@@ -84,14 +86,25 @@ foreach ($svc in $services) {
   if (Check-File $pkg) { Ok "package.json exists" } else { Fail "Missing package.json"; $overallFail = $true }
   if (Check-File $app) { Ok "app.js exists" } else { Fail "Missing app.js"; $overallFail = $true }
   if (Check-File $server) { Ok "server.js exists" } else { Warn "Missing server.js (recommended for tests + deployment)" }
-  if (Check-File $env) { Ok ".env exists" } else { Fail "Missing .env"; $overallFail = $true }
+  if (Check-File $env) {
+    Ok ".env exists"
+  } elseif (Check-File (Join-Path $svcPath ".env.example")) {
+    Fail "Missing .env (copy .env.example to .env and fill it in)"
+    $overallFail = $true
+  } else {
+    Fail "Missing .env"
+    $overallFail = $true
+  }
 
   # Check environment variables in .env file
   if (Check-File $env) {
     try {
       $envMap = Read-Env $env
       # Validate required environment variables
-      foreach ($k in @("PORT","SERVICE_NAME","MONGO_URI")) {
+      # JWT_SECRET signs and verifies the auth tokens (must be the same in every service)
+      $requiredKeys = @("PORT","SERVICE_NAME","JWT_SECRET")
+      if ($svc.UsesMongo) { $requiredKeys += "MONGO_URI" }
+      foreach ($k in $requiredKeys) {
         if ($envMap.ContainsKey($k) -and $envMap[$k].Length -gt 0) {
           Ok ".env has $k"
         } else {
@@ -100,6 +113,16 @@ foreach ($svc in $services) {
         }
       }
 
+      # Services call each other over HTTP instead of sharing collections
+      foreach ($k in $svc.RequiredUrls) {
+        if ($envMap.ContainsKey($k) -and ($envMap[$k].StartsWith("http://") -or $envMap[$k].StartsWith("https://"))) {
+          Ok ".env has $k"
+        } else {
+          Fail ".env missing $k (http:// or https:// URL of that service)"
+          $overallFail = $true
+        }
+      }
+
       # Validate MONGO_URI format
       if ($envMap.ContainsKey("MONGO_URI")) {
         $uri = $envMap["MONGO_URI"]
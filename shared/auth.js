@@ -0,0 +1,194 @@
+/**
+ * Shared authentication module used by every service.
+ * - Locally issued JSON Web Tokens (HS256, signed with JWT_SECRET)
+ * - Password hashing for the credentials stored on the User model (scrypt)
+ * - Express middleware to authenticate callers and check their role
+ * Uses only Node's crypto module, so services can require it as '../shared/auth'.
+ *
+ * Token payload: { sub: userid (Number) or service name, role: 'user' | 'admin' | 'service' }
+ */
+const crypto = require('crypto');
+
+// Default token lifetime in seconds (JWT_EXPIRES_IN overrides it)
+const DEFAULT_EXPIRES_IN = 3600;
+
+/**
+ * Encode a value as base64url JSON.
+ * @param {Object} value - Value to encode
+ * @returns {string} base64url text
+ */
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Compute the HS256 signature of "header.payload".
+ * @param {string} data - Signed part of the token
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url signature
+ */
+function signature(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a token.
+ * @param {Object} payload - Claims, usually { sub, role }
+ * @param {number} [expiresIn] - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+function sign(payload, expiresIn) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error('JWT_SECRET is not set');
+
+  const now = Math.floor(Date.now() / 1000);
+  const lifetime = expiresIn || Number(process.env.JWT_EXPIRES_IN) || DEFAULT_EXPIRES_IN;
+  const data = encode({ alg: 'HS256', typ: 'JWT' }) + '.' + encode(Object.assign({}, payload, { iat: now, exp: now + lifetime }));
+  return data + '.' + signature(data, secret);
+}
+
+/**
+ * Verify a token's signature and expiry.
+ * @param {string} token - Token to verify
+ * @returns {Object|null} Payload, or null if the token is not valid
+ */
+function verify(token) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret || typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    if (header.alg !== 'HS256') return null;
+
+    const expected = Buffer.from(signature(parts[0] + '.' + parts[1], secret));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Hash a password for storage on the User model.
+ * @param {string} password - Plain password
+ * @returns {string} "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return 'scrypt$' + salt + '$' + hash;
+}
+
+/**
+ * Check a password against a stored hash.
+ * @param {string} password - Plain password
+ * @param {string} stored - Hash made by hashPassword
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const parts = stored.split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+
+  const expected = Buffer.from(parts[2], 'hex');
+  const actual = crypto.scryptSync(password, parts[1], expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check if a caller may act on any user's data (admins and other services).
+ * @param {Object} user - req.user
+ * @returns {boolean} True for admins and services
+ */
+function isPrivileged(user) {
+  return !!user && (user.role === 'admin' || user.role === 'service');
+}
+
+/**
+ * Check if a caller may act on a user's data: their own userid, or any if privileged.
+ * @param {Object} user - req.user
+ * @param {number} userid - Owner of the data
+ * @returns {boolean} True if allowed
+ */
+function canAccess(user, userid) {
+  return isPrivileged(user) || (!!user && user.id === userid);
+}
+
+/**
+ * Express middleware: authenticate the caller from "Authorization: Bearer <token>".
+ * Sets req.user = { id, role }. Responds 401 if the token is missing or not valid,
+ * unless optional is true (then req.user is only set when a valid token is sent).
+ * @param {Object} [options] - { optional: boolean }
+ * @returns {Function} Express middleware
+ */
+function authenticate(options) {
+  const optional = !!(options && options.optional);
+
+  return function (req, res, next) {
+    const header = req.get('Authorization') || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    const payload = match ? verify(match[1]) : null;
+
+    if (payload) {
+      req.user = { id: payload.sub, role: payload.role };
+      return next();
+    }
+    if (optional && !match) {
+      return next();
+    }
+    return res.status(401).json({ id: 401, message: 'Missing or invalid authentication token' });
+  };
+}
+
+/**
+ * Express middleware: allow only callers with one of the given roles.
+ * Must run after authenticate().
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+function requireRole() {
+  const roles = Array.prototype.slice.call(arguments);
+
+  return function (req, res, next) {
+    if (req.user && roles.indexOf(req.user.role) !== -1) {
+      return next();
+    }
+    return res.status(403).json({ id: 403, message: 'Not allowed' });
+  };
+}
+
+// Token this service uses for calls to other services (re-issued before it expires)
+let cachedServiceToken = null;
+let cachedServiceTokenExp = 0;
+
+/**
+ * Token for calls from this service to other services (role 'service', sub SERVICE_NAME).
+ * @returns {string} Signed token
+ */
+function serviceToken() {
+  const now = Math.floor(Date.now() / 1000);
+  if (!cachedServiceToken || cachedServiceTokenExp - now < 60) {
+    cachedServiceToken = sign({ sub: process.env.SERVICE_NAME, role: 'service' }, DEFAULT_EXPIRES_IN);
+    cachedServiceTokenExp = now + DEFAULT_EXPIRES_IN;
+  }
+  return cachedServiceToken;
+}
+
+module.exports = {
+  sign: sign,
+  verify: verify,
+  hashPassword: hashPassword,
+  verifyPassword: verifyPassword,
+  isPrivileged: isPrivileged,
+  canAccess: canAccess,
+  authenticate: authenticate,
+  requireRole: requireRole,
+  serviceToken: serviceToken
+};
@@ -0,0 +1,55 @@
+/**
+ * Shared GET /health handler of all services.
+ * Answers { service, status, version, mongo }: status is 'ok' while the process serves requests,
+ * mongo is the state of its MongoDB connection. check() calls it on another service
+ * (admin-service GET /api/admin/status, gateway-service GET /health).
+ */
+const serviceClient = require('./service-client');
+
+// Names of mongoose connection.readyState values
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Create the /health handler of a service.
+ * @param {Object} connection - mongoose.connection of the service
+ * @param {string} version - Version of the service (from its package.json)
+ * @returns {Function} Express handler
+ */
+function handler(connection, version) {
+  return function (req, res) {
+    res.json({
+      service: process.env.SERVICE_NAME,
+      status: 'ok',
+      version: version,
+      mongo: MONGO_STATES[connection.readyState] || 'unknown'
+    });
+  };
+}
+
+/**
+ * Call the /health endpoint of another service.
+ * @param {string} name - Name of the service
+ * @param {string} baseUrl - Base URL of the service
+ * @returns {Promise<Object>} { service, status: ok|error|down, latencyMs, version, mongo, error? }
+ */
+async function check(name, baseUrl) {
+  const start = Date.now();
+  try {
+    const res = await serviceClient.request(baseUrl, 'GET', '/health');
+    const body = res.body || {};
+    return {
+      service: name,
+      status: res.status === 200 && body.status === 'ok' ? 'ok' : 'error',
+      latencyMs: Date.now() - start,
+      version: body.version || null,
+      mongo: body.mongo || null
+    };
+  } catch (err) {
+    return { service: name, status: 'down', latencyMs: null, version: null, mongo: null, error: err.message };
+  }
+}
+
+module.exports = {
+  handler: handler,
+  check: check
+};
@@ -0,0 +1,151 @@
+/**
+ * Shared client that sends log entries to logs-service (replaces the per-service pushLog).
+ * - push() only buffers the entry, so logging never slows down a request
+ * - The buffer is sent to POST /api/logs/batch every LOG_FLUSH_INTERVAL_MS (default 2000)
+ *   or as soon as LOG_BATCH_SIZE entries (default 50) are waiting
+ * - When logs-service is down, the batch is kept and retried with exponential backoff
+ *   (up to LOG_RETRY_MAX_MS, default 60000)
+ * - At most LOG_BUFFER_MAX entries (default 5000) are kept; the oldest are dropped first
+ * Nothing is sent when LOGS_SERVICE_URL is not set.
+ */
+const serviceClient = require('./service-client');
+const requestContext = require('./request-context');
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_FLUSH_INTERVAL_MS = 2000;
+const DEFAULT_BUFFER_MAX = 5000;
+const DEFAULT_RETRY_MAX_MS = 60000;
+
+const buffer = [];
+const stats = { sent: 0, failed: 0, dropped: 0, sendFailures: 0 };
+let timer = null;
+let flushing = null;
+let failures = 0;
+let retryAt = 0;
+
+/**
+ * Read a positive number from the environment.
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when not set or not valid
+ * @returns {number} Value
+ */
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Start the flush timer on first use. The timer does not keep the process alive.
+ * It is created outside of the request that pushed the first entry, otherwise every
+ * timed flush would carry the X-Request-Id of that request.
+ */
+function startTimer() {
+  if (timer) return;
+  requestContext.detached(function () {
+    timer = setInterval(function () {
+      flush().catch(function () {});
+    }, envNumber('LOG_FLUSH_INTERVAL_MS', DEFAULT_FLUSH_INTERVAL_MS));
+  });
+  timer.unref();
+}
+
+/**
+ * Send one batch from the front of the buffer.
+ * Entries are removed only when logs-service accepted the batch or rejected it as invalid (4xx):
+ * invalid entries would fail again, so they are dropped and counted as failed.
+ * @returns {Promise<boolean>} True if the buffer got smaller
+ */
+async function sendBatch() {
+  const batch = buffer.slice(0, envNumber('LOG_BATCH_SIZE', DEFAULT_BATCH_SIZE));
+  let res;
+  try {
+    res = await serviceClient.request(process.env.LOGS_SERVICE_URL, 'POST', '/api/logs/batch', batch);
+  } catch (err) {
+    res = null;
+  }
+
+  if (res && res.status < 500) {
+    // Remove the entries of the batch by identity: while it was being sent, push() may have
+    // dropped some of them from the front of a full buffer
+    const sent = new Set(batch);
+    while (buffer.length > 0 && sent.has(buffer[0])) {
+      buffer.shift();
+    }
+    if (res.status === 200 && res.body) {
+      stats.sent += res.body.accepted || 0;
+      stats.failed += res.body.rejected || 0;
+    } else {
+      stats.failed += batch.length;
+    }
+    failures = 0;
+    retryAt = 0;
+    return true;
+  }
+
+  // logs-service is down or failing: retry later, waiting twice as long every time
+  failures++;
+  stats.sendFailures++;
+  const delay = Math.min(1000 * Math.pow(2, failures - 1), envNumber('LOG_RETRY_MAX_MS', DEFAULT_RETRY_MAX_MS));
+  retryAt = Date.now() + delay;
+  return false;
+}
+
+/**
+ * Send the buffered entries (only one flush runs at a time).
+ * Waits while a retry delay is running after a failure.
+ * @returns {Promise<void>} Resolves when the flush is done
+ */
+function flush() {
+  if (flushing) return flushing;
+  if (!process.env.LOGS_SERVICE_URL || buffer.length === 0 || Date.now() < retryAt) {
+    return Promise.resolve();
+  }
+
+  flushing = (async function () {
+    try {
+      while (buffer.length > 0 && await sendBatch()) {
+        // Keep sending until the buffer is empty or a batch fails
+      }
+    } finally {
+      flushing = null;
+    }
+  })();
+  return flushing;
+}
+
+/**
+ * Queue a log entry for logs-service. Never throws.
+ * @param {Object} doc - Log entry { ts, service, type, method, path, statusCode, responseTimeMs, message, meta }
+ */
+function push(doc) {
+  if (!process.env.LOGS_SERVICE_URL) return;
+
+  buffer.push(doc);
+  if (buffer.length > envNumber('LOG_BUFFER_MAX', DEFAULT_BUFFER_MAX)) {
+    buffer.shift();
+    stats.dropped++;
+  }
+
+  startTimer();
+  if (buffer.length >= envNumber('LOG_BATCH_SIZE', DEFAULT_BATCH_SIZE)) {
+    // The batch holds entries of many requests, so it must not carry the X-Request-Id of this one
+    requestContext.detached(function () {
+      flush().catch(function () {});
+    });
+  }
+}
+
+/**
+ * Counters of this client: entries sent, rejected by logs-service, and dropped because the buffer was full,
+ * and batches that could not be sent (logs-service unreachable or failing; they are retried).
+ * @returns {Object} { sent, failed, dropped, sendFailures, buffered }
+ */
+function getStats() {
+  return { sent: stats.sent, failed: stats.failed, dropped: stats.dropped, sendFailures: stats.sendFailures, buffered: buffer.length };
+}
+
+module.exports = {
+  push: push,
+  flush: flush,
+  getStats: getStats
+};
@@ -0,0 +1,112 @@
+/**
+ * Shared logging of all services: one shape for every log entry, wherever it is stored.
+ * - LOG_FIELDS is the schema of a log entry (each service builds its Log model from it)
+ * - createLogger() gives the request timing middleware and write() for other entries;
+ *   entries are saved to the service's own Log model and/or sent to logs-service (log-client).
+ *   The middleware also records the request in the metrics (shared/metrics.js)
+ * - migrateLegacyLogs() converts entries of the old { url, time } shape
+ * Uses no mongoose import, so it works with the mongoose of each service.
+ */
+const logClient = require('./log-client');
+const metrics = require('./metrics');
+
+const localFailures = metrics.counter('log_local_write_failures_total', 'Log entries that could not be saved to the local Log model');
+
+/**
+ * Fields of a log entry (mongoose schema definition).
+ */
+const LOG_FIELDS = {
+  ts: { type: Date, required: true },              // Timestamp of the log entry
+  service: { type: String, required: true },       // Name of the service that generated the log
+  type: { type: String, required: true },          // Type of log (e.g. 'request', 'endpoint', 'audit')
+  method: { type: String },                        // HTTP method (optional, for request logs)
+  path: { type: String },                          // Request path without query string (optional)
+  route: { type: String },                         // Route pattern, e.g. /api/users/:id (optional, for request logs)
+  statusCode: { type: Number },                    // HTTP status code (optional, for request logs)
+  responseTimeMs: { type: Number },                // Response time in milliseconds (optional)
+  message: { type: String },                       // Log message (optional)
+  meta: { type: Object }                           // Additional metadata, e.g. { requestId }
+};
+
+/**
+ * Create the logger of a service.
+ * @param {Object} options - { model: Log model to save entries to (optional), remote: send entries to logs-service }
+ * @returns {Object} { middleware, write(req, fields) }
+ */
+function createLogger(options) {
+  /**
+   * Write one log entry about a request. ts, service, method, path and meta.requestId
+   * are filled in; fields override them (meta is merged).
+   * @param {Object} req - Express request object
+   * @param {Object} fields - Entry fields, at least { type }
+   */
+  function write(req, fields) {
+    const doc = Object.assign({
+      ts: new Date(),
+      service: process.env.SERVICE_NAME,
+      method: req.method,
+      path: req.path
+    }, fields);
+    doc.meta = Object.assign({}, fields.meta, { requestId: req.id });
+
+    if (options.model) {
+      // Fail silently (only counted): logging must never break a request
+      options.model.create(doc).catch(function () {
+        localFailures.inc();
+      });
+    }
+    if (options.remote) {
+      logClient.push(doc);
+    }
+  }
+
+  /**
+   * Express middleware: write a 'request' entry with status and response time when the response is sent,
+   * and record it in the request metrics.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Next middleware
+   */
+  function middleware(req, res, next) {
+    const start = Date.now();
+    res.on('finish', function () {
+      const responseTimeMs = Date.now() - start;
+      metrics.observeRequest(req, res, responseTimeMs);
+      write(req, {
+        type: 'request',
+        route: metrics.routeOf(req) || undefined,
+        statusCode: res.statusCode,
+        responseTimeMs: responseTimeMs,
+        message: 'request completed'
+      });
+    });
+    next();
+  }
+
+  return { middleware: middleware, write: write };
+}
+
+/**
+ * Convert the entries of the legacy shape ({ service, method, url, statusCode, time }) saved by
+ * older versions of users-service and costs-service into the LOG_FIELDS shape. Safe to run again.
+ * @param {Object} model - Log model of the service
+ * @returns {Promise<number>} Number of converted entries
+ */
+async function migrateLegacyLogs(model) {
+  const result = await model.collection.updateMany({ time: { $exists: true } }, [
+    { $set: {
+      ts: { $ifNull: ['$ts', '$time'] },
+      type: { $ifNull: ['$type', 'request'] },
+      path: { $ifNull: ['$path', { $arrayElemAt: [{ $split: [{ $ifNull: ['$url', ''] }, '?'] }, 0] }] },
+      message: { $ifNull: ['$message', 'request completed'] }
+    } },
+    { $unset: ['url', 'time'] }
+  ]);
+  return result.modifiedCount;
+}
+
+module.exports = {
+  LOG_FIELDS: LOG_FIELDS,
+  createLogger: createLogger,
+  migrateLegacyLogs: migrateLegacyLogs
+};
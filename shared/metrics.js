@@ -0,0 +1,192 @@
+/**
+ * Shared metrics of all services in the Prometheus text exposition format (GET /metrics).
+ * - http_requests_total and http_request_duration_seconds are recorded by the timing
+ *   middleware of shared/logging.js, labelled by method, route (the Express route pattern)
+ *   and status
+ * - log_client_* come from log-client (entries sent to logs-service, rejected and dropped)
+ * - mongodb_connection_state is the mongoose readyState (1 = connected)
+ * - services add their own with counter() (e.g. report_cache_requests_total in costs-service)
+ * Metrics are kept in memory per process and start from zero when it restarts.
+ */
+const logClient = require('./log-client');
+
+// Upper bounds (seconds) of the request duration histogram buckets
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Metrics by name, in the order they were defined
+const registry = new Map();
+
+/**
+ * Helper function: Render labels as {a="1",b="2"}.
+ * @param {Object} labels - Label values
+ * @returns {string} Label text ('' when there are none)
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) return '';
+  return '{' + names.map(function (name) {
+    const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return name + '="' + value + '"';
+  }).join(',') + '}';
+}
+
+/**
+ * Helper function: Get a metric, defining it on first use.
+ * @param {string} name - Metric name
+ * @param {string} type - counter, gauge or histogram
+ * @param {string} help - Description
+ * @returns {Object} Metric { name, type, help, series: Map(labelText -> value) }
+ */
+function define(name, type, help) {
+  if (!registry.has(name)) {
+    registry.set(name, { name: name, type: type, help: help, series: new Map() });
+  }
+  return registry.get(name);
+}
+
+/**
+ * Define a counter (a value that only goes up).
+ * @param {string} name - Metric name (ending in _total)
+ * @param {string} help - Description
+ * @returns {Object} { inc(labels, n = 1), set(labels, value) }
+ */
+function counter(name, help) {
+  const metric = define(name, 'counter', help);
+  return {
+    inc: function (labels, n) {
+      const key = formatLabels(labels || {});
+      metric.series.set(key, (metric.series.get(key) || 0) + (n === undefined ? 1 : n));
+    },
+    // For totals counted elsewhere (e.g. log-client), copied at scrape time
+    set: function (labels, value) {
+      metric.series.set(formatLabels(labels || {}), value);
+    }
+  };
+}
+
+/**
+ * Define a gauge (a value that goes up and down).
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @returns {Object} { set(labels, value) }
+ */
+function gauge(name, help) {
+  const metric = define(name, 'gauge', help);
+  return {
+    set: function (labels, value) {
+      metric.series.set(formatLabels(labels || {}), value);
+    }
+  };
+}
+
+/**
+ * Define a histogram.
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array} buckets - Upper bounds of the buckets, ascending
+ * @returns {Object} { observe(labels, value) }
+ */
+function histogram(name, help, buckets) {
+  const metric = define(name, 'histogram', help);
+  metric.buckets = buckets;
+  return {
+    observe: function (labels, value) {
+      const key = JSON.stringify(labels);
+      let series = metric.series.get(key);
+      if (!series) {
+        series = { labels: labels, counts: buckets.map(function () { return 0; }), sum: 0, count: 0 };
+        metric.series.set(key, series);
+      }
+      buckets.forEach(function (le, i) {
+        if (value <= le) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    }
+  };
+}
+
+const requestsTotal = counter('http_requests_total', 'HTTP requests handled');
+const requestDuration = histogram('http_request_duration_seconds', 'Time to answer HTTP requests', DURATION_BUCKETS);
+const logClientEntries = counter('log_client_entries_total', 'Log entries handled by the log client, by result (sent, failed, dropped)');
+const logClientSendFailures = counter('log_client_send_failures_total', 'Batches the log client could not send to logs-service (unreachable or 5xx); they are retried');
+const logClientBuffered = gauge('log_client_buffered', 'Log entries waiting to be sent to logs-service');
+const mongoState = gauge('mongodb_connection_state', 'MongoDB connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)');
+
+/**
+ * Route pattern of a request (/api/costs/:id, not every id).
+ * Middleware that answers without a route may name one in req.metricsRoute.
+ * @param {Object} req - Express request object
+ * @returns {string|null} Route or null if no route matched
+ */
+function routeOf(req) {
+  return req.route ? req.baseUrl + req.route.path : (req.metricsRoute || null);
+}
+
+/**
+ * Record a finished request.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} ms - Response time in milliseconds
+ */
+function observeRequest(req, res, ms) {
+  // The route pattern keeps the number of series small
+  const labels = { method: req.method, route: routeOf(req) || 'unmatched', status: String(res.statusCode) };
+  requestsTotal.inc(labels);
+  requestDuration.observe(labels, ms / 1000);
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format.
+ * @returns {string} Metrics text
+ */
+function render() {
+  const lines = [];
+  registry.forEach(function (metric) {
+    lines.push('# HELP ' + metric.name + ' ' + metric.help);
+    lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+    metric.series.forEach(function (value, key) {
+      if (metric.type !== 'histogram') {
+        lines.push(metric.name + key + ' ' + value);
+        return;
+      }
+      metric.buckets.forEach(function (le, i) {
+        lines.push(metric.name + '_bucket' + formatLabels(Object.assign({}, value.labels, { le: String(le) })) + ' ' + value.counts[i]);
+      });
+      lines.push(metric.name + '_bucket' + formatLabels(Object.assign({}, value.labels, { le: '+Inf' })) + ' ' + value.count);
+      lines.push(metric.name + '_sum' + formatLabels(value.labels) + ' ' + value.sum);
+      lines.push(metric.name + '_count' + formatLabels(value.labels) + ' ' + value.count);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Create the GET /metrics handler of a service.
+ * @param {Object} [connection] - mongoose.connection of the service (none for the gateway)
+ * @returns {Function} Express handler
+ */
+function handler(connection) {
+  return function (req, res) {
+    const stats = logClient.getStats();
+    logClientEntries.set({ result: 'sent' }, stats.sent);
+    logClientEntries.set({ result: 'failed' }, stats.failed);
+    logClientEntries.set({ result: 'dropped' }, stats.dropped);
+    logClientSendFailures.set({}, stats.sendFailures);
+    logClientBuffered.set({}, stats.buffered);
+    if (connection) {
+      mongoState.set({}, connection.readyState);
+    }
+
+    res.type('text/plain; version=0.0.4').send(render());
+  };
+}
+
+module.exports = {
+  counter: counter,
+  gauge: gauge,
+  routeOf: routeOf,
+  observeRequest: observeRequest,
+  render: render,
+  handler: handler
+};
@@ -0,0 +1,65 @@
+/**
+ * Shared request correlation: every request gets an id that follows it across services.
+ * - middleware takes the X-Request-Id header of the caller (or makes a new id),
+ *   sets it as req.id and on the response, and keeps it for the rest of the request
+ * - currentRequestId() returns it anywhere in the request's async work, so outbound
+ *   calls (service-client) forward it without passing req around
+ * Log entries carry it as meta.requestId; logs-service shows the chain at GET /api/logs/trace/:requestId.
+ */
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Incoming ids are kept only when they look like an id (no spaces or control characters)
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware: accept or generate the X-Request-Id of the request.
+ * Must run before pino-http so the request logger uses the same id.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function middleware(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+  storage.run({ requestId: id }, next);
+}
+
+/**
+ * pino-http genReqId option: log every request with its X-Request-Id.
+ * @param {Object} req - Express request object
+ * @returns {string} Request id
+ */
+function genReqId(req) {
+  return req.id || crypto.randomUUID();
+}
+
+/**
+ * The X-Request-Id of the request being handled.
+ * @returns {string|undefined} Request id, or undefined outside of a request (e.g. scheduled jobs)
+ */
+function currentRequestId() {
+  const store = storage.getStore();
+  return store ? store.requestId : undefined;
+}
+
+/**
+ * Run fn outside of the current request, e.g. background work that only started during it.
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function detached(fn) {
+  return storage.exit(fn);
+}
+
+module.exports = {
+  middleware: middleware,
+  genReqId: genReqId,
+  currentRequestId: currentRequestId,
+  detached: detached
+};
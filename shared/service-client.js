@@ -0,0 +1,100 @@
+/**
+ * Shared client for calls from one service to another over HTTP.
+ * - Calls carry this service's token (see auth.serviceToken), so they are allowed like an admin
+ * - Calls time out after SERVICE_TIMEOUT_MS (default 5000)
+ * - Calls made while handling a request forward its X-Request-Id
+ * - createCache keeps answers that rarely change for a short time
+ * Services use it instead of reading each other's collections, so each one can run
+ * against its own MongoDB.
+ */
+const auth = require('./auth');
+const requestContext = require('./request-context');
+
+// Default timeout of a call in milliseconds (SERVICE_TIMEOUT_MS overrides it)
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Default number of entries a cache keeps before dropping the oldest
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Call another service and parse its JSON answer.
+ * HTTP errors of the other service are returned, not thrown, so callers can map its error ids.
+ * @param {string} baseUrl - Base URL of the service (e.g. process.env.USERS_SERVICE_URL)
+ * @param {string} method - HTTP method
+ * @param {string} path - Path including the query string
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} { status, body } (body is null if the answer is not JSON)
+ * @throws {Error} If the URL is not configured or the service cannot be reached in time
+ */
+async function request(baseUrl, method, path, body) {
+  if (!baseUrl) {
+    throw new Error('No service URL configured for ' + method + ' ' + path);
+  }
+
+  const headers = { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + auth.serviceToken() };
+  const requestId = requestContext.currentRequestId();
+  if (requestId) headers['X-Request-Id'] = requestId;
+
+  let res;
+  try {
+    res = await fetch(baseUrl + path, {
+      method: method,
+      headers: headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(Number(process.env.SERVICE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS)
+    });
+  } catch (err) {
+    throw new Error('Service at ' + baseUrl + ' is unavailable (' + err.message + ')');
+  }
+
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch (e) {
+    json = null;
+  }
+  return { status: res.status, body: json };
+}
+
+/**
+ * Create a short-lived in-memory cache.
+ * Entries expire after ttlMs; when full, the oldest entry is dropped.
+ * @param {number} ttlMs - Lifetime of an entry in milliseconds
+ * @param {number} [maxEntries] - Maximum number of entries (default 1000)
+ * @returns {Object} { get(key), set(key, value), delete(key), clear() }
+ */
+function createCache(ttlMs, maxEntries) {
+  const limit = maxEntries || DEFAULT_MAX_ENTRIES;
+  const entries = new Map();
+
+  return {
+    get: function (key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expires <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set: function (key, value) {
+      entries.delete(key);
+      if (entries.size >= limit) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value: value, expires: Date.now() + ttlMs });
+    },
+    delete: function (key) {
+      entries.delete(key);
+    },
+    clear: function () {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = {
+  request: request,
+  createCache: createCache
+};
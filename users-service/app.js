@@ -1,50 +1,32 @@
-﻿/**
- * Sends a log document to the logs service asynchronously.
- * This function fails silently if the logs service is unavailable.
- * @param {Object} doc - The log document to send
- */
-function pushLog(doc) {
-  try {
-    if (!process.env.LOGS_SERVICE_URL) return;
-    fetch(process.env.LOGS_SERVICE_URL + '/api/logs', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(doc)
-    }).catch(()=>{});
-  } catch(e){}
-}
-
-// Load environment variables from .env file
+﻿// Load environment variables from .env file
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const mongoose = require('mongoose');
 const pinoHttp = require('pino-http');
+const pkg = require('./package.json');
+const auth = require('../shared/auth');
+const requestContext = require('../shared/request-context');
+const health = require('../shared/health');
+const metrics = require('../shared/metrics');
+const logging = require('../shared/logging');
 const User = require('./models/user.model');
+const Group = require('./models/group.model');
+const costsClient = require('./costs-client');
 const Log = require('./models/log.model');
 
 const app = express();
+// Request logs are saved locally and sent to logs-service
+const logger = logging.createLogger({ model: Log, remote: true });
 
 // Middleware: Parse JSON request bodies
 app.use(express.json());
-// Middleware: HTTP request logging using pino
-app.use(pinoHttp());
-// Middleware: Track request timing and send logs to logs service
-app.use((req, res, next) => {
-  const start = Date.now();
-  res.on('finish', () => {
-    pushLog({
-      ts: new Date().toISOString(),
-      service: process.env.SERVICE_NAME,
-      type: 'request',
-      method: req.method,
-      path: req.path,
-      statusCode: res.statusCode,
-      responseTimeMs: Date.now() - start,
-      message: 'request completed'
-    });
-  });
-  next();
-});
+// Middleware: Accept or generate the X-Request-Id (see shared/request-context.js)
+app.use(requestContext.middleware);
+// Middleware: HTTP request logging using pino (logged with the request id)
+app.use(pinoHttp({ genReqId: requestContext.genReqId }));
+// Middleware: Track request timing and save logs to database and logs service
+app.use(logger.middleware);
 
 /**
  * Helper function to send standardized error responses.
@@ -57,6 +39,9 @@ function sendError(res, id, message, statusCode) {
   res.status(statusCode || 400).json({ id: id, message: message });
 }
 
+// Currency of the totals when none is requested (same as costs-service)
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'ILS';
+
 // Connect to MongoDB database
 mongoose.connect(process.env.MONGO_URI)
   .then(function () {
@@ -66,36 +51,42 @@ mongoose.connect(process.env.MONGO_URI)
     console.log('MongoDB connection error:', err.message);
   });
 
-// Middleware: Save request logs to local database
-app.use(function (req, res, next) {
-  res.on('finish', async function () {
-    try {
-      await new Log({
-        service: process.env.SERVICE_NAME,
-        method: req.method,
-        url: req.originalUrl,
-        statusCode: res.statusCode,
-        time: new Date()
-      }).save();
-    } catch (e) {}  // Fail silently if log save fails
-  });
-  next();
-});
-
 /**
  * Health check endpoint.
- * Returns the service name and status to verify the service is running.
+ * Returns the service name, status, version and MongoDB connection state (see shared/health.js).
  */
-app.get('/health', function (req, res) {
-  res.json({ service: process.env.SERVICE_NAME, status: 'ok' });
-});
+app.get('/health', health.handler(mongoose.connection, pkg.version));
+
+/**
+ * Metrics endpoint (Prometheus text format, see shared/metrics.js).
+ */
+app.get('/metrics', metrics.handler(mongoose.connection));
+
+/**
+ * Helper function: Check the secret that allows creating the first admin.
+ * @param {string} [value] - X-Bootstrap-Secret header of the request
+ * @returns {boolean} True if ADMIN_BOOTSTRAP_SECRET is set and the value matches it
+ */
+function isBootstrapSecret(value) {
+  const secret = process.env.ADMIN_BOOTSTRAP_SECRET;
+  if (!secret || typeof value !== 'string') return false;
+
+  // Compare digests so the comparison takes the same time whatever the value
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
 
 /**
  * POST /api/add
- * Add a new user to the system.
+ * Add a new user to the system (open for registration, a token is optional).
  * Validates all required fields and ensures the user ID is unique.
+ * - password (optional): lets the user log in; stored as a hash
+ * - role (optional): 'user' (default) or 'admin'. Only an admin may create admins.
+ *   The very first admin (while there is none) needs the X-Bootstrap-Secret header set to
+ *   ADMIN_BOOTSTRAP_SECRET; without that variable no first admin can be created this way.
  */
-app.post('/api/add', async function (req, res) {
+app.post('/api/add', auth.authenticate({ optional: true }), async function (req, res) {
   try {
     const body = req.body;
 
@@ -115,12 +106,29 @@ app.post('/api/add', async function (req, res) {
       return sendError(res, 4, 'birthday must be a valid Date', 400);
     }
 
+    if (body.password !== undefined && (typeof body.password !== 'string' || body.password.length < 8)) {
+      return sendError(res, 10, 'password must be a String of at least 8 characters', 400);
+    }
+
+    const role = body.role === undefined ? 'user' : body.role;
+    if (role !== 'user' && role !== 'admin') {
+      return sendError(res, 11, 'role must be one of: user, admin', 400);
+    }
+
+    // Only admins create admins; the first admin needs the bootstrap secret while there is none
+    if (role === 'admin' && !(req.user && req.user.role === 'admin') &&
+      (!isBootstrapSecret(req.get('X-Bootstrap-Secret')) || await User.exists({ role: 'admin' }))) {
+      return sendError(res, 12, 'Only an admin can create admin users', 403);
+    }
+
     // Create and save the new user
     const saved = await new User({
       id: body.id,
       first_name: body.first_name,
       last_name: body.last_name,
-      birthday: bday
+      birthday: bday,
+      password: body.password === undefined ? undefined : auth.hashPassword(body.password),
+      role: role
     }).save();
 
     res.json({
@@ -139,13 +147,52 @@ app.post('/api/add', async function (req, res) {
 });
 
 /**
- * GET /api/users
- * Retrieve all users from the database.
+ * POST /api/login
+ * Exchange a user's id and password for a token.
+ * Send the token as "Authorization: Bearer <token>" to every service.
+ */
+app.post('/api/login', async function (req, res) {
+  try {
+    const body = req.body;
+
+    if (typeof body.id !== 'number' || typeof body.password !== 'string') {
+      return sendError(res, 13, 'id (Number) and password (String) are required', 400);
+    }
+
+    const user = await User.findOne({ id: body.id, deleting: { $ne: true } }).select('+password').lean();
+    if (!user || !auth.verifyPassword(body.password, user.password)) {
+      return sendError(res, 14, 'Invalid id or password', 401);
+    }
+
+    const role = user.role || 'user';
+    res.json({
+      token: auth.sign({ sub: user.id, role: role }),
+      id: user.id,
+      role: role
+    });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * GET /api/users?ids=1,2,3
+ * Retrieve all users from the database (admins and services only).
+ * ids (optional) limits the result to those user ids (other services use it to check users exist).
  * Returns an array of all user documents (excluding MongoDB _id field).
  */
-app.get('/api/users', async function (req, res) {
+app.get('/api/users', auth.authenticate(), auth.requireRole('admin', 'service'), async function (req, res) {
   try {
-    const users = await User.find({}, { _id: 0 }).lean();
+    const filter = { deleting: { $ne: true } };
+    if (req.query.ids !== undefined) {
+      const ids = String(req.query.ids).split(',').map(Number);
+      if (ids.some(Number.isNaN)) {
+        return sendError(res, 19, 'ids must be a comma-separated list of Numbers', 400);
+      }
+      filter.id = { $in: ids };
+    }
+
+    const users = await User.find(filter, { _id: 0, deleting: 0 }).lean();
     res.json(users);
   } catch (err) {
     return sendError(res, 999, err.message || 'Unknown error', 500);
@@ -153,10 +200,28 @@ app.get('/api/users', async function (req, res) {
 });
 
 /*
-  GET /api/users/:id
-  Returns user details + total costs (sum of all user's costs).
+  GET /api/stats
+  Number of users and groups (admins and services only; admin-service shows it at GET /api/admin/status).
+*/
+app.get('/api/stats', auth.authenticate(), auth.requireRole('admin', 'service'), async function (req, res) {
+  try {
+    res.json({
+      users: await User.estimatedDocumentCount(),
+      groups: await Group.estimatedDocumentCount()
+    });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/users/:id?currency=USD
+  Returns user details + total costs (sum of all user's costs, from costs-service).
+  Each cost is converted to the requested currency (default: DEFAULT_CURRENCY)
+  with the exchange rate in effect on its createdAt.
+  Callers can only read themselves, admins can read anyone.
 */
-app.get('/api/users/:id', async function (req, res) {
+app.get('/api/users/:id', auth.authenticate(), async function (req, res) {
   try {
     // Parse and validate the user ID from URL parameter
     const userId = Number(req.params.id);
@@ -164,12 +229,18 @@ app.get('/api/users/:id', async function (req, res) {
       return sendError(res, 6, 'User id in URL must be a Number', 400);
     }
 
+    if (!auth.canAccess(req.user, userId)) {
+      return sendError(res, 403, 'Not allowed to read this user', 403);
+    }
+
+    const currency = req.query.currency === undefined ? DEFAULT_CURRENCY : String(req.query.currency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return sendError(res, 8, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+    }
+
     // Log the endpoint access
-    pushLog({
-      ts: new Date().toISOString(),
-      service: process.env.SERVICE_NAME,
+    logger.write(req, {
       type: 'endpoint',
-      method: 'GET',
       path: '/api/users/:id',
       message: 'endpoint accessed',
       meta: { id: userId }
@@ -181,26 +252,549 @@ app.get('/api/users/:id', async function (req, res) {
       return sendError(res, 7, 'User not found', 404);
     }
 
-    // Sum all costs for this user from the "costs" collection using MongoDB aggregation
-    // This queries the costs collection directly (cross-collection query)
-    const agg = await mongoose.connection.collection('costs').aggregate([
-      { $match: { userid: userId } },  // Match costs for this user
-      { $group: { _id: null, total: { $sum: { $toDouble: '$sum' } } } }  // Sum all costs
-    ]).toArray();
-    
-    // Extract the total from aggregation result, default to 0 if no costs found
-    const total = (agg && agg.length > 0 && typeof agg[0].total === 'number') ? agg[0].total : 0;
+    // Total of the user's costs from costs-service (converted there with the rate of each cost's date)
+    const result = await costsClient.getTotal(userId, currency);
+    if (result.status !== 200) {
+      const costsError = result.body || {};
+      if (costsError.id === 24) {
+        return sendError(res, 8, 'currency must be an ISO 4217 code (e.g. USD, EUR, ILS)', 400);
+      }
+      if (costsError.id === 25) {
+        return sendError(res, 9, costsError.message, 400);
+      }
+      return sendError(res, 999, 'costs-service answered ' + result.status + ': ' + (costsError.message || 'Unknown error'), 502);
+    }
 
     res.json({
       first_name: user.first_name,
       last_name: user.last_name,
       id: user.id,
-      total: total
+      total: result.body.total
     });
   } catch (err) {
     return sendError(res, 999, err.message || 'Unknown error', 500);
   }
-});module.exports = app;
+});
+
+// Fields of a user that PATCH /api/users/:id can change
+const EDITABLE_FIELDS = ['first_name', 'last_name', 'birthday'];
+
+/*
+  PATCH /api/users/:id
+  Change first_name, last_name and/or birthday of a user.
+  id, role and password cannot be changed here (see PUT /api/users/:id/password).
+  Callers can only change themselves, admins can change anyone.
+*/
+app.patch('/api/users/:id', auth.authenticate(), async function (req, res) {
+  try {
+    const userId = Number(req.params.id);
+    if (Number.isNaN(userId)) {
+      return sendError(res, 6, 'User id in URL must be a Number', 400);
+    }
+
+    if (!auth.canAccess(req.user, userId)) {
+      return sendError(res, 403, 'Not allowed to change this user', 403);
+    }
+
+    const body = req.body || {};
+    const keys = Object.keys(body);
+    if (keys.length === 0) {
+      return sendError(res, 15, 'Nothing to update: send first_name, last_name or birthday', 400);
+    }
+    const unknown = keys.filter(function (k) { return EDITABLE_FIELDS.indexOf(k) === -1; });
+    if (unknown.length > 0) {
+      return sendError(res, 16, 'Only first_name, last_name and birthday can be changed (got: ' + unknown.join(', ') + ')', 400);
+    }
+
+    const update = {};
+    if ((body.first_name !== undefined && typeof body.first_name !== 'string') ||
+      (body.last_name !== undefined && typeof body.last_name !== 'string')) {
+      return sendError(res, 3, 'first_name and last_name must be Strings', 400);
+    }
+    if (body.first_name !== undefined) update.first_name = body.first_name;
+    if (body.last_name !== undefined) update.last_name = body.last_name;
+    if (body.birthday !== undefined) {
+      const bday = new Date(body.birthday);
+      if (isNaN(bday.getTime())) {
+        return sendError(res, 4, 'birthday must be a valid Date', 400);
+      }
+      update.birthday = bday;
+    }
+
+    const user = await User.findOneAndUpdate({ id: userId }, { $set: update }, { returnDocument: 'after', runValidators: true }).lean();
+    if (!user) {
+      return sendError(res, 7, 'User not found', 404);
+    }
+
+    res.json({
+      id: user.id,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      birthday: user.birthday
+    });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  PUT /api/users/:id/password
+  Set the password of a user: { password, current_password }.
+  Users change their own password and must send the current one; admins set anyone's
+  password without it, e.g. for users added without a password, who cannot log in until then.
+*/
+app.put('/api/users/:id/password', auth.authenticate(), async function (req, res) {
+  try {
+    const userId = Number(req.params.id);
+    if (Number.isNaN(userId)) {
+      return sendError(res, 6, 'User id in URL must be a Number', 400);
+    }
+
+    if (!auth.canAccess(req.user, userId)) {
+      return sendError(res, 403, 'Not allowed to change this user', 403);
+    }
+
+    const body = req.body || {};
+    if (typeof body.password !== 'string' || body.password.length < 8) {
+      return sendError(res, 10, 'password must be a String of at least 8 characters', 400);
+    }
+
+    const user = await User.findOne({ id: userId }).select('+password').lean();
+    if (!user) {
+      return sendError(res, 7, 'User not found', 404);
+    }
+
+    if (!auth.isPrivileged(req.user) && !auth.verifyPassword(body.current_password, user.password)) {
+      return sendError(res, 30, 'current_password is not correct', 403);
+    }
+
+    await User.updateOne({ id: userId }, { $set: { password: auth.hashPassword(body.password) } });
+
+    res.json({ id: userId, password: 'updated' });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  DELETE /api/users/:id?mode=block|cascade
+  Delete a user. What happens to the user's costs depends on mode:
+  - block (default): refuse with 409 while the user still has costs
+  - cascade: delete the user's costs together with the user
+  Either way the user's cached reports, recurring costs, budgets and custom
+  categories are deleted, the user leaves all groups (groups left without members
+  are deleted), and the deletion is recorded in the logs service.
+  Refused with 409 while the user is the only owner of a group that has other members.
+  The user is marked deleting before costs-service deletes its data, so it cannot log in
+  or get new costs meanwhile; if that step fails, calling DELETE again finishes the job.
+  Callers can only delete themselves, admins can delete anyone.
+*/
+app.delete('/api/users/:id', auth.authenticate(), async function (req, res) {
+  try {
+    const userId = Number(req.params.id);
+    if (Number.isNaN(userId)) {
+      return sendError(res, 6, 'User id in URL must be a Number', 400);
+    }
+
+    if (!auth.canAccess(req.user, userId)) {
+      return sendError(res, 403, 'Not allowed to delete this user', 403);
+    }
+
+    const mode = req.query.mode === undefined ? 'block' : req.query.mode;
+    if (mode !== 'block' && mode !== 'cascade') {
+      return sendError(res, 17, 'mode must be one of: block, cascade', 400);
+    }
+
+    const user = await User.findOne({ id: userId }, { _id: 0 }).lean();
+    if (!user) {
+      return sendError(res, 7, 'User not found', 404);
+    }
+
+    // Groups must not be left without an owner
+    const groups = await Group.find({ 'members.userid': userId }).lean();
+    const ownedAlone = groups.filter(function (g) {
+      const owners = g.members.filter(function (m) { return m.role === 'owner'; });
+      return owners.length === 1 && owners[0].userid === userId && g.members.length > 1;
+    });
+    if (ownedAlone.length > 0) {
+      return sendError(res, 31, 'User is the only owner of groups with other members (' +
+        ownedAlone.map(function (g) { return g.name; }).join(', ') + '): make another member owner first', 409);
+    }
+
+    await User.updateOne({ id: userId }, { $set: { deleting: true } });
+
+    // costs-service refuses in block mode while the user has costs, before anything is deleted
+    const result = await costsClient.deleteUserData(userId, mode);
+    if (result.status === 409) {
+      await User.updateOne({ id: userId }, { $unset: { deleting: 1 } });
+      return sendError(res, 18, 'User has costs: delete them first or use mode=cascade', 409);
+    }
+    if (result.status !== 200 || !result.body) {
+      return sendError(res, 999, 'costs-service answered ' + result.status + ': ' + ((result.body && result.body.message) || 'Unknown error'), 502);
+    }
+
+    const deleted = result.body.deleted;
+    deleted.groups = (await Group.updateMany({ 'members.userid': userId }, { $pull: { members: { userid: userId } } })).modifiedCount;
+    deleted.empty_groups = (await Group.deleteMany({ members: { $size: 0 } })).deletedCount;
+
+    await User.deleteOne({ id: userId });
+
+    // Record who deleted the user and what was removed
+    logger.write(req, {
+      type: 'audit',
+      path: '/api/users/:id',
+      message: 'user deleted',
+      meta: { id: userId, mode: mode, by: req.user.id, deleted: deleted }
+    });
+
+    res.json({
+      id: user.id,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      mode: mode,
+      deleted: deleted
+    });
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/**
+ * Helper function: Build the JSON returned for a group.
+ * @param {Object} group - Group document
+ * @returns {Object} Group fields including its MongoDB _id
+ */
+function formatGroup(group) {
+  return {
+    _id: group._id,
+    name: group.name,
+    members: group.members.map(function (m) {
+      return { userid: m.userid, role: m.role };
+    }),
+    createdAt: group.createdAt
+  };
+}
+
+/**
+ * Helper function: Role of a user in a group.
+ * @param {Object} group - Group document
+ * @param {number} userid - User ID
+ * @returns {string|null} 'owner', 'member' or null if not a member
+ */
+function memberRole(group, userid) {
+  for (let i = 0; i < group.members.length; i++) {
+    if (group.members[i].userid === userid) return group.members[i].role;
+  }
+  return null;
+}
+
+/**
+ * Helper function: Check if a caller may manage a group (rename, members, delete).
+ * Owners of the group and admins may.
+ * @param {Object} user - req.user
+ * @param {Object} group - Group document
+ * @returns {boolean} True if allowed
+ */
+function canManageGroup(user, group) {
+  return auth.isPrivileged(user) || memberRole(group, user.id) === 'owner';
+}
+
+/**
+ * Helper function: Load a group by the :id URL param.
+ * Sends the error response itself (23 invalid id, 24 not found, 403 not a member).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Group document or null if an error was sent
+ */
+async function findGroup(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    sendError(res, 23, 'Group id in URL must be a valid ObjectId', 400);
+    return null;
+  }
+
+  const group = await Group.findById(req.params.id);
+  if (!group) {
+    sendError(res, 24, 'Group not found', 404);
+    return null;
+  }
+
+  if (!auth.isPrivileged(req.user) && memberRole(group, req.user.id) === null) {
+    sendError(res, 403, 'Not a member of this group', 403);
+    return null;
+  }
+
+  return group;
+}
+
+/**
+ * Helper function: Find the user ids that do not exist.
+ * @param {Array} ids - User IDs
+ * @returns {Promise<Array>} The ids without a user
+ */
+async function missingUsers(ids) {
+  const users = await User.find({ id: { $in: ids } }, { _id: 0, id: 1 }).lean();
+  const existing = users.map(function (u) { return u.id; });
+  return ids.filter(function (id) { return existing.indexOf(id) === -1; });
+}
+
+/*
+  POST /api/groups
+  Create a group. The caller becomes its owner.
+  - name: String
+  - members (optional): user ids added as members
+*/
+app.post('/api/groups', auth.authenticate(), async function (req, res) {
+  try {
+    const body = req.body;
+
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      return sendError(res, 20, 'name must be a non-empty String', 400);
+    }
+
+    const others = body.members === undefined ? [] : body.members;
+    if (!Array.isArray(others) || others.some(function (id) { return typeof id !== 'number'; })) {
+      return sendError(res, 21, 'members must be an array of user ids (Numbers)', 400);
+    }
+
+    const ids = [req.user.id];
+    others.forEach(function (id) {
+      if (ids.indexOf(id) === -1) ids.push(id);
+    });
+
+    const missing = await missingUsers(ids);
+    if (missing.length > 0) {
+      return sendError(res, 22, 'Users do not exist: ' + missing.join(', '), 400);
+    }
+
+    const saved = await new Group({
+      name: body.name.trim(),
+      members: ids.map(function (id, i) {
+        return { userid: id, role: i === 0 ? 'owner' : 'member' };
+      }),
+      createdAt: new Date()
+    }).save();
+
+    res.json(formatGroup(saved));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/groups?userid=123123
+  Returns the groups the caller is a member of.
+  Admins get all groups, or the groups of userid.
+*/
+app.get('/api/groups', auth.authenticate(), async function (req, res) {
+  try {
+    let userid;
+    if (req.query.userid !== undefined) {
+      userid = Number(req.query.userid);
+      if (Number.isNaN(userid)) {
+        return sendError(res, 21, 'userid must be a Number', 400);
+      }
+    }
+
+    // Callers that are not admins only list their own groups
+    if (!auth.isPrivileged(req.user)) {
+      if (userid !== undefined && userid !== req.user.id) {
+        return sendError(res, 403, 'Not allowed to read groups of this user', 403);
+      }
+      userid = req.user.id;
+    }
+
+    const filter = userid === undefined ? {} : { 'members.userid': userid };
+    const groups = await Group.find(filter).sort({ _id: 1 }).lean();
+    res.json(groups.map(formatGroup));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  GET /api/groups/:id
+  Returns a group (members and admins only).
+*/
+app.get('/api/groups/:id', auth.authenticate(), async function (req, res) {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    res.json(formatGroup(group));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  PATCH /api/groups/:id
+  Rename a group (owners and admins only).
+*/
+app.patch('/api/groups/:id', auth.authenticate(), async function (req, res) {
+  try {
+    if (typeof req.body.name !== 'string' || req.body.name.trim() === '') {
+      return sendError(res, 20, 'name must be a non-empty String', 400);
+    }
+
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    if (!canManageGroup(req.user, group)) {
+      return sendError(res, 403, 'Only owners can change the group', 403);
+    }
+
+    group.name = req.body.name.trim();
+    res.json(formatGroup(await group.save()));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  DELETE /api/groups/:id
+  Delete a group (owners and admins only).
+  Refused with 409 while costs belong to the group.
+*/
+app.delete('/api/groups/:id', auth.authenticate(), async function (req, res) {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    if (!canManageGroup(req.user, group)) {
+      return sendError(res, 403, 'Only owners can delete the group', 403);
+    }
+
+    if (await costsClient.groupHasCosts(String(group._id))) {
+      return sendError(res, 29, 'Group has costs: delete them first', 409);
+    }
+
+    await Group.deleteOne({ _id: group._id });
+
+    res.json(formatGroup(group));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  POST /api/groups/:id/members
+  Add a member to a group (owners and admins only).
+  - userid: Number
+  - role (optional): 'member' (default) or 'owner'
+*/
+app.post('/api/groups/:id/members', auth.authenticate(), async function (req, res) {
+  try {
+    const body = req.body;
+
+    if (typeof body.userid !== 'number') {
+      return sendError(res, 21, 'userid must be a Number', 400);
+    }
+
+    const role = body.role === undefined ? 'member' : body.role;
+    if (role !== 'owner' && role !== 'member') {
+      return sendError(res, 25, 'role must be one of: owner, member', 400);
+    }
+
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    if (!canManageGroup(req.user, group)) {
+      return sendError(res, 403, 'Only owners can add members', 403);
+    }
+
+    if (memberRole(group, body.userid) !== null) {
+      return sendError(res, 26, 'User is already a member of this group', 409);
+    }
+
+    if ((await missingUsers([body.userid])).length > 0) {
+      return sendError(res, 22, 'Users do not exist: ' + body.userid, 400);
+    }
+
+    group.members.push({ userid: body.userid, role: role });
+    res.json(formatGroup(await group.save()));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  PATCH /api/groups/:id/members/:userid
+  Change the role of a member (owners and admins only).
+  A group always keeps at least one owner.
+*/
+app.patch('/api/groups/:id/members/:userid', auth.authenticate(), async function (req, res) {
+  try {
+    const userid = Number(req.params.userid);
+    if (Number.isNaN(userid)) {
+      return sendError(res, 21, 'userid must be a Number', 400);
+    }
+
+    const role = req.body.role;
+    if (role !== 'owner' && role !== 'member') {
+      return sendError(res, 25, 'role must be one of: owner, member', 400);
+    }
+
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    if (!canManageGroup(req.user, group)) {
+      return sendError(res, 403, 'Only owners can change roles', 403);
+    }
+
+    const member = group.members.find(function (m) { return m.userid === userid; });
+    if (!member) {
+      return sendError(res, 27, 'User is not a member of this group', 404);
+    }
+
+    const owners = group.members.filter(function (m) { return m.role === 'owner'; }).length;
+    if (member.role === 'owner' && role === 'member' && owners === 1) {
+      return sendError(res, 28, 'A group must keep at least one owner', 409);
+    }
+
+    member.role = role;
+    res.json(formatGroup(await group.save()));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+/*
+  DELETE /api/groups/:id/members/:userid
+  Remove a member from a group. Owners and admins can remove anyone,
+  members can remove themselves (leave). The last owner cannot leave.
+*/
+app.delete('/api/groups/:id/members/:userid', auth.authenticate(), async function (req, res) {
+  try {
+    const userid = Number(req.params.userid);
+    if (Number.isNaN(userid)) {
+      return sendError(res, 21, 'userid must be a Number', 400);
+    }
+
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    if (!canManageGroup(req.user, group) && req.user.id !== userid) {
+      return sendError(res, 403, 'Only owners can remove other members', 403);
+    }
+
+    const role = memberRole(group, userid);
+    if (role === null) {
+      return sendError(res, 27, 'User is not a member of this group', 404);
+    }
+
+    const owners = group.members.filter(function (m) { return m.role === 'owner'; }).length;
+    if (role === 'owner' && owners === 1) {
+      return sendError(res, 28, 'A group must keep at least one owner', 409);
+    }
+
+    group.members = group.members.filter(function (m) { return m.userid !== userid; });
+    res.json(formatGroup(await group.save()));
+  } catch (err) {
+    return sendError(res, 999, err.message || 'Unknown error', 500);
+  }
+});
+
+module.exports = app;
 
 
 
@@ -0,0 +1,56 @@
+﻿/**
+ * Client of costs-service, used instead of reading its costs and rates collections.
+ * Nothing is cached: totals change with every added cost.
+ */
+const serviceClient = require('../shared/service-client');
+
+/**
+ * Call costs-service.
+ * @param {string} method - HTTP method
+ * @param {string} path - Path including the query string
+ * @returns {Promise<Object>} { status, body }
+ */
+function call(method, path) {
+  return serviceClient.request(process.env.COSTS_SERVICE_URL, method, path);
+}
+
+/**
+ * Total of all costs of a user, converted to a currency.
+ * @param {number} userid - User ID
+ * @param {string} currency - ISO 4217 code
+ * @returns {Promise<Object>} { status, body } of GET /api/costs/total
+ *   (body is { userid, currency, total } or a costs-service error { id, message })
+ */
+function getTotal(userid, currency) {
+  return call('GET', '/api/costs/total?userid=' + userid + '&currency=' + encodeURIComponent(currency));
+}
+
+/**
+ * Delete the data costs-service keeps for a user.
+ * @param {number} userid - User ID
+ * @param {string} mode - 'block' (refused while the user has costs) or 'cascade'
+ * @returns {Promise<Object>} { status, body } of DELETE /api/userdata/:userid
+ */
+function deleteUserData(userid, mode) {
+  return call('DELETE', '/api/userdata/' + userid + '?mode=' + mode);
+}
+
+/**
+ * Check if any cost belongs to a group.
+ * @param {string} groupId - Group _id
+ * @returns {Promise<boolean>} True if the group has costs
+ * @throws {Error} If costs-service cannot be reached or fails
+ */
+async function groupHasCosts(groupId) {
+  const res = await call('GET', '/api/costs?group=' + groupId + '&limit=1');
+  if (res.status !== 200 || !res.body || !Array.isArray(res.body.costs)) {
+    throw new Error('costs-service answered ' + res.status + ' to the group costs lookup');
+  }
+  return res.body.costs.length > 0;
+}
+
+module.exports = {
+  getTotal: getTotal,
+  deleteUserData: deleteUserData,
+  groupHasCosts: groupHasCosts
+};
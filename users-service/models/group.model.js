@@ -0,0 +1,31 @@
+﻿const mongoose = require('mongoose');
+
+/**
+ * Group schema for the groups collection (households, roommates, trips...).
+ * Costs in costs-service can belong to a group and be split between its members.
+ * - name: String - Group name
+ * - members: Array - { userid, role } of every member
+ *   role 'owner' can rename the group and manage members, 'member' can add costs
+ * - createdAt: Date - Creation timestamp
+ */
+const memberSchema = new mongoose.Schema(
+  {
+    userid: { type: Number, required: true },                                      // User ID of the member
+    role: { type: String, enum: ['owner', 'member'], default: 'member' }           // Role in the group
+  },
+  { _id: false }
+);
+
+const groupSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },          // Group name
+    members: { type: [memberSchema], default: [] },  // Members of the group
+    createdAt: { type: Date, required: true }        // Creation timestamp
+  },
+  { versionKey: false }  // Disable __v version key
+);
+
+// Index for listing the groups of a user
+groupSchema.index({ 'members.userid': 1 });
+
+module.exports = mongoose.model('Group', groupSchema, 'groups');
@@ -5,13 +5,19 @@
  * IMPORTANT:
  * - 'id' (Number) is NOT MongoDB '_id' (ObjectId). Do not mix them.
  * - The 'id' field is the application-level user identifier and must be unique.
+ * Credentials: users with a password can log in (POST /api/login) to get a token.
+ * A user marked deleting can no longer log in and is not listed (GET /api/users), so other
+ * services stop accepting new data for it while its data is deleted.
  */
 const userSchema = new mongoose.Schema(
   {
     id: { type: Number, required: true, unique: true },  // Application-level user ID (not MongoDB _id)
     first_name: { type: String, required: true },        // User's first name
     last_name: { type: String, required: true },          // User's last name
-    birthday: { type: Date, required: true }             // User's birthday date
+    birthday: { type: Date, required: true },            // User's birthday date
+    password: { type: String, select: false },           // Password hash (see shared/auth.js), never returned by default
+    role: { type: String, enum: ['user', 'admin'], default: 'user' },  // Admins may act on any user's data
+    deleting: { type: Boolean }                          // Set while DELETE /api/users/:id removes the user's data
   },
   { versionKey: false }  // Disable __v version key
 );
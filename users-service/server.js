@@ -1,7 +1,18 @@
 ﻿// Import the Express app from app.js
 const app = require('./app');
+const logging = require('../shared/logging');
+const Log = require('./models/log.model');
 
 // Start the server on the port specified in environment variables
 app.listen(process.env.PORT, function () {
   console.log(process.env.SERVICE_NAME + ' listening on port ' + process.env.PORT);
 });
+
+// Convert request logs of the legacy { url, time } shape to the shared shape (see shared/logging.js)
+logging.migrateLegacyLogs(Log)
+  .then(function (count) {
+    if (count > 0) console.log('Migrated ' + count + ' legacy log entries');
+  })
+  .catch(function (err) {
+    console.log('Log migration failed:', err.message);
+  });
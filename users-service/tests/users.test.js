@@ -1,13 +1,43 @@
-﻿const request = require('supertest');
+﻿// Sign test tokens with a known secret (set before the app loads .env)
+process.env.JWT_SECRET = 'test-secret';
+// costs-service is not started in tests: its answers come from the fetch mock below
+process.env.COSTS_SERVICE_URL = 'http://costs-service.test';
+
+const request = require('supertest');
 const mongoose = require('mongoose');
+const auth = require('../../shared/auth');
 const app = require('../app');
+const User = require('../models/user.model');
+const Group = require('../models/group.model');
+
+// Authorization header of an admin caller
+const adminAuth = 'Bearer ' + auth.sign({ sub: 1, role: 'admin' });
+
+/**
+ * Answer the calls to costs-service (other calls, e.g. to the logs service, just succeed).
+ * @param {string} url - Requested URL
+ * @returns {Promise<Response>} Mocked response
+ */
+async function mockFetch(url) {
+  const parsed = new URL(url);
+  if (parsed.origin === process.env.COSTS_SERVICE_URL && parsed.pathname === '/api/costs/total') {
+    const body = { userid: Number(parsed.searchParams.get('userid')), currency: parsed.searchParams.get('currency'), total: 0 };
+    return new Response(JSON.stringify(body), { status: 200 });
+  }
+  return new Response(JSON.stringify({ ok: true }), { status: 200 });
+}
 
 /**
  * Test suite for users-service endpoints.
  */
 describe('users-service', () => {
+  beforeAll(() => {
+    jest.spyOn(global, 'fetch').mockImplementation(mockFetch);
+  });
+
   // Clean up: Close MongoDB connection after all tests complete
   afterAll(async () => {
+    jest.restoreAllMocks();
     await mongoose.connection.close();
   });
 
@@ -20,14 +50,14 @@ describe('users-service', () => {
 
   // Test: Users endpoint should return an array of all users
   test('GET /api/users returns array', async () => {
-    const res = await request(app).get('/api/users');
+    const res = await request(app).get('/api/users').set('Authorization', adminAuth);
     expect(res.statusCode).toBe(200);
     expect(Array.isArray(res.body)).toBe(true);
   });
 
   // Test: Get user by ID endpoint should return user details with total costs
   test('GET /api/users/123123 returns 200 or 404', async () => {
-    const res = await request(app).get('/api/users/123123');
+    const res = await request(app).get('/api/users/123123').set('Authorization', adminAuth);
     // Accept either 200 (user found) or 404 (user not found)
     expect([200, 404]).toContain(res.statusCode);
     if (res.statusCode === 200) {
@@ -61,9 +91,188 @@ describe('users-service', () => {
 
   // Test: GET /api/users/:id with invalid id should return error
   test('GET /api/users/invalid returns error', async () => {
-    const res = await request(app).get('/api/users/not-a-number');
+    const res = await request(app).get('/api/users/not-a-number').set('Authorization', adminAuth);
     expect(res.statusCode).toBe(400);
     expect(res.body).toHaveProperty('id');
     expect(res.body).toHaveProperty('message');
   });
+
+  // Test: GET /api/users/:id with invalid currency should return error
+  test('GET /api/users/:id with invalid currency returns error', async () => {
+    const res = await request(app).get('/api/users/123123?currency=dollars').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 8);
+    expect(res.body).toHaveProperty('message');
+  });
+
+  // Test: GET /api/users without a token should be rejected
+  test('GET /api/users without token returns 401', async () => {
+    const res = await request(app).get('/api/users');
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toHaveProperty('id', 401);
+  });
+
+  // Test: A user cannot read another user's details
+  test('GET /api/users/:id of another user returns 403', async () => {
+    const res = await request(app)
+      .get('/api/users/123123')
+      .set('Authorization', 'Bearer ' + auth.sign({ sub: 555, role: 'user' }));
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: POST /api/login with missing fields should return error
+  test('POST /api/login with missing fields returns error', async () => {
+    const res = await request(app)
+      .post('/api/login')
+      .send({ id: 123123 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 13);
+  });
+
+  // Test: POST /api/add with a short password should return error
+  test('POST /api/add with short password returns error', async () => {
+    const res = await request(app)
+      .post('/api/add')
+      .send({ id: 999888, first_name: 'Test', last_name: 'User', birthday: '2000-01-01', password: 'short' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 10);
+  });
+
+  // Test: PATCH /api/users/:id with empty body should return error
+  test('PATCH /api/users/:id with empty body returns error', async () => {
+    const res = await request(app)
+      .patch('/api/users/123123')
+      .set('Authorization', adminAuth)
+      .send({});
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 15);
+  });
+
+  // Test: PATCH /api/users/:id cannot change the id
+  test('PATCH /api/users/:id with id field returns error', async () => {
+    const res = await request(app)
+      .patch('/api/users/123123')
+      .set('Authorization', adminAuth)
+      .send({ id: 5 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 16);
+  });
+
+  // Test: DELETE /api/users/:id with unknown mode should return error
+  test('DELETE /api/users/:id with invalid mode returns error', async () => {
+    const res = await request(app).delete('/api/users/123123?mode=soft').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 17);
+  });
+
+  // Test: A user cannot delete another user
+  test('DELETE /api/users/:id of another user returns 403', async () => {
+    const res = await request(app)
+      .delete('/api/users/123123')
+      .set('Authorization', 'Bearer ' + auth.sign({ sub: 555, role: 'user' }));
+    expect(res.statusCode).toBe(403);
+  });
+
+  // Test: The only owner of a group with other members cannot be deleted, and nothing is changed
+  test('DELETE /api/users/:id of the only owner of a group returns 409', async () => {
+    const userQuery = { lean: () => Promise.resolve({ id: 123123 }) };
+    const groupQuery = {
+      lean: () => Promise.resolve([
+        { name: 'Flat', members: [{ userid: 123123, role: 'owner' }, { userid: 2, role: 'member' }] },
+        { name: 'Trip', members: [{ userid: 123123, role: 'owner' }, { userid: 3, role: 'owner' }] }
+      ])
+    };
+    const findOne = jest.spyOn(User, 'findOne').mockReturnValue(userQuery);
+    const find = jest.spyOn(Group, 'find').mockReturnValue(groupQuery);
+    const updateOne = jest.spyOn(User, 'updateOne');
+    try {
+      const res = await request(app).delete('/api/users/123123?mode=cascade').set('Authorization', adminAuth);
+      expect(res.statusCode).toBe(409);
+      expect(res.body).toHaveProperty('id', 31);
+      expect(res.body.message).toContain('Flat');
+      expect(res.body.message).not.toContain('Trip');
+      expect(updateOne).not.toHaveBeenCalled();
+    } finally {
+      findOne.mockRestore();
+      find.mockRestore();
+      updateOne.mockRestore();
+    }
+  });
+
+  // Test: POST /api/groups without a name should return error
+  test('POST /api/groups with missing name returns error', async () => {
+    const res = await request(app)
+      .post('/api/groups')
+      .set('Authorization', adminAuth)
+      .send({ members: [2] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 20);
+  });
+
+  // Test: POST /api/groups with invalid members should return error
+  test('POST /api/groups with invalid members returns error', async () => {
+    const res = await request(app)
+      .post('/api/groups')
+      .set('Authorization', adminAuth)
+      .send({ name: 'Home', members: ['bob'] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 21);
+  });
+
+  // Test: GET /api/groups/:id with an invalid id should return error
+  test('GET /api/groups/invalid returns error', async () => {
+    const res = await request(app).get('/api/groups/not-an-id').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 23);
+  });
+
+  // Test: GET /api/users with invalid ids should return error
+  test('GET /api/users with invalid ids returns error', async () => {
+    const res = await request(app).get('/api/users?ids=1,abc').set('Authorization', adminAuth);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 19);
+  });
+
+  // Test: Counts are for admins and services only
+  test('GET /api/stats without token returns 401', async () => {
+    const res = await request(app).get('/api/stats');
+    expect(res.statusCode).toBe(401);
+  });
+
+  // Test: Metrics are in the Prometheus text format
+  test('GET /metrics returns Prometheus metrics', async () => {
+    const res = await request(app).get('/metrics');
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(res.text).toMatch(/^log_client_entries_total\{result="failed"\} \d+$/m);
+    expect(res.text).toMatch(/^log_client_send_failures_total \d+$/m);
+  });
+
+  // Test: The first admin cannot be created without the bootstrap secret
+  test('POST /api/add of an admin without token or bootstrap secret returns 403', async () => {
+    const res = await request(app)
+      .post('/api/add')
+      .send({ id: 999999990, first_name: 'a', last_name: 'b', birthday: '1990-01-01', role: 'admin' });
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toHaveProperty('id', 12);
+  });
+
+  // Test: PUT /api/users/:id/password with a short password should return error
+  test('PUT /api/users/:id/password with short password returns error', async () => {
+    const res = await request(app)
+      .put('/api/users/123123/password')
+      .set('Authorization', adminAuth)
+      .send({ password: 'short' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('id', 10);
+  });
+
+  // Test: Users cannot set the password of another user
+  test('PUT /api/users/:id/password of another user returns 403', async () => {
+    const res = await request(app)
+      .put('/api/users/123123/password')
+      .set('Authorization', 'Bearer ' + auth.sign({ sub: 555, role: 'user' }))
+      .send({ password: 'long enough password' });
+    expect(res.statusCode).toBe(403);
+  });
 });